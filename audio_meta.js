@@ -0,0 +1,271 @@
+// Duration of short uploaded clips (soundboard), read from the file itself so the
+// server can enforce limits without ffprobe. Supports WAV, MP3 and Ogg (Vorbis/Opus).
+
+export const CLIP_FORMATS = {
+  wav: { ext: "wav", mime: "audio/wav" },
+  mp3: { ext: "mp3", mime: "audio/mpeg" },
+  ogg: { ext: "ogg", mime: "audio/ogg" }
+};
+
+// Format from magic bytes (the Content-Type header is only a hint)
+export function detectClipFormat(buf) {
+  if (buf.length < 12) return null;
+  if (buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WAVE") return "wav";
+  if (buf.toString("ascii", 0, 4) === "OggS") return "ogg";
+  if (buf.toString("ascii", 0, 3) === "ID3") return "mp3";
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) return "mp3";
+  return null;
+}
+
+// Rate comes from sample rate x channels x bit depth, not the header's byteRate field
+// (which the uploader controls); PCM/float only, and byteRate/blockAlign must agree
+function wavDurationMs(buf) {
+  let byteRate = 0;
+  let off = 12;
+
+  while (off + 8 <= buf.length) {
+    const id = buf.toString("ascii", off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+
+    if (id === "fmt ") {
+      if (size < 16 || off + 24 > buf.length) return null;
+      const format = buf.readUInt16LE(off + 8);
+      const channels = buf.readUInt16LE(off + 10);
+      const sampleRate = buf.readUInt32LE(off + 12);
+      const headerByteRate = buf.readUInt32LE(off + 16);
+      const blockAlign = buf.readUInt16LE(off + 20);
+      const bits = buf.readUInt16LE(off + 22);
+
+      if (![1, 3, 0xfffe].includes(format)) return null; // PCM, float, extensible
+      if (channels < 1 || channels > 8) return null;
+      if (sampleRate < 8000 || sampleRate > 384000) return null;
+      if (![8, 16, 24, 32, 64].includes(bits)) return null;
+
+      byteRate = (sampleRate * channels * bits) / 8;
+      if (headerByteRate !== byteRate || blockAlign !== (channels * bits) / 8) return null;
+    }
+
+    if (id === "data") {
+      if (!byteRate) return null;
+      const dataSize = Math.min(size, buf.length - off - 8);
+      return Math.round((dataSize / byteRate) * 1000);
+    }
+    off += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// Packets of the first logical stream, reassembled across pages; null if the pages don't parse
+function oggPackets(buf) {
+  const packets = [];
+  let pending = [];
+  let serial = null;
+  let off = 0;
+
+  while (off + 27 <= buf.length) {
+    if (buf.toString("ascii", off, off + 4) !== "OggS" || buf[off + 4] !== 0) return null;
+    const nseg = buf[off + 26];
+    const lacing = buf.subarray(off + 27, off + 27 + nseg);
+    if (lacing.length < nseg) break;
+
+    let body = off + 27 + nseg;
+    const pageSerial = buf.readUInt32LE(off + 14);
+    if (serial === null) serial = pageSerial;
+    const mine = pageSerial === serial;
+
+    for (const len of lacing) {
+      if (body + len > buf.length) return packets; // truncated tail
+      if (mine) pending.push(buf.subarray(body, body + len));
+      body += len;
+      if (mine && len < 255) {
+        packets.push(Buffer.concat(pending));
+        pending = [];
+      }
+    }
+    off = body;
+  }
+  return packets;
+}
+
+// Opus: every packet's TOC byte says how long it plays (RFC 6716 3.1), in 48 kHz samples
+function opusPacketSamples(p) {
+  if (!p.length) return 0;
+  const config = p[0] >> 3;
+  const frameMs = config < 12 ? [10, 20, 40, 60][config % 4]
+    : config < 16 ? [10, 20][config % 2]
+      : [2.5, 5, 10, 20][config % 4];
+  const code = p[0] & 0x03;
+  const frames = code === 0 ? 1 : code < 3 ? 2 : p.length > 1 ? p[1] & 0x3f : 0;
+  return Math.min(frames * frameMs, 120) * 48;
+}
+
+// Bits of a Vorbis setup header read from its end backwards (Vorbis packs LSB first)
+function reverseBitReader(p) {
+  let pos = 0;
+  const total = p.length * 8;
+  return {
+    left: () => total - pos,
+    bit() {
+      const byte = p[p.length - 1 - (pos >> 3)];
+      const v = (byte >> (7 - (pos & 7))) & 1;
+      pos++;
+      return v;
+    },
+    bits(n) {
+      let v = 0;
+      for (let i = 0; i < n; i++) v = (v << 1) | this.bit();
+      return v;
+    },
+    peek(n) {
+      const at = pos;
+      const v = this.bits(n);
+      pos = at;
+      return v;
+    },
+    skip(n) { pos += n; },
+    seek(n) { pos = n; }
+  };
+}
+
+// Block flag per mode, from the tail of the setup header (same walk as ffmpeg's vorbis parser):
+// each mode is blockflag(1) windowtype(16)=0 transformtype(16)=0 mapping(8), preceded by count-1 (6 bits)
+function vorbisModeBlockflags(setup) {
+  const r = reverseBitReader(setup);
+  let framing = 0;
+  while (r.left() > 97) {
+    if (r.bit()) {
+      framing = setup.length * 8 - r.left();
+      break;
+    }
+  }
+  if (!framing) return null;
+
+  let count = 0;
+  let modes = 0;
+  while (r.left() >= 97) {
+    if (r.bits(8) > 63 || r.bits(16) || r.bits(16)) break;
+    r.skip(1);
+    count++;
+    if (count > 64) break;
+    if (r.peek(6) + 1 === count) modes = count;
+  }
+  if (!modes) return null;
+
+  r.seek(framing);
+  const flags = new Array(modes);
+  for (let i = modes - 1; i >= 0; i--) {
+    r.skip(40);
+    flags[i] = r.bit();
+  }
+  return flags;
+}
+
+// Vorbis: packet plays (previous block + current block) / 4 samples
+function vorbisSamples(packets) {
+  const ident = packets[0];
+  const setup = packets[2];
+  if (!ident || ident.length < 30 || !setup || setup[0] !== 0x05) return null;
+
+  const rate = ident.readUInt32LE(12);
+  const blocksize = [1 << (ident[28] & 0x0f), 1 << (ident[28] >> 4)];
+  const flags = vorbisModeBlockflags(setup);
+  if (!rate || !flags) return null;
+
+  const modeBits = flags.length > 1 ? Math.floor(Math.log2(flags.length - 1)) + 1 : 0;
+  let samples = 0;
+  let prev = 0;
+  for (const p of packets.slice(3)) {
+    if (!p.length || p[0] & 1) continue; // empty / stray header
+    const mode = (p[0] >> 1) & ((1 << modeBits) - 1);
+    if (mode >= flags.length) return null;
+    const cur = blocksize[flags[mode]];
+    if (prev) samples += (prev + cur) >> 2;
+    prev = cur;
+  }
+  return { samples, rate };
+}
+
+// Summed from the packets themselves; the last page's granule position is uploader-controlled
+function oggDurationMs(buf) {
+  const packets = oggPackets(buf);
+  if (!packets || packets.length < 3) return null;
+
+  const head = packets[0];
+  if (head.toString("latin1", 0, 8) === "OpusHead") {
+    const samples = packets.slice(2).reduce((n, p) => n + opusPacketSamples(p), 0);
+    return Math.round((samples / 48000) * 1000);
+  }
+  if (head.toString("latin1", 0, 7) === "\x01vorbis") {
+    const v = vorbisSamples(packets);
+    return v ? Math.round((v.samples / v.rate) * 1000) : null;
+  }
+  return null;
+}
+
+const MP3_BITRATES = {
+  // [version 1 | version 2/2.5][layer 1..3] kbps, index 1..14
+  V1L1: [32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L23: [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Walks every frame header and adds up samples (works for CBR and VBR)
+function mp3DurationMs(buf) {
+  let off = 0;
+  if (buf.toString("ascii", 0, 3) === "ID3" && buf.length >= 10) {
+    off = 10 + ((buf[6] & 0x7f) << 21 | (buf[7] & 0x7f) << 14 | (buf[8] & 0x7f) << 7 | (buf[9] & 0x7f));
+  }
+
+  let seconds = 0;
+  let frames = 0;
+
+  while (off + 4 <= buf.length) {
+    if (buf[off] !== 0xff || (buf[off + 1] & 0xe0) !== 0xe0) {
+      if (frames) break; // trailing tags (ID3v1 / APE)
+      off++;
+      continue;
+    }
+
+    const version = (buf[off + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+    const layer = (buf[off + 1] >> 1) & 0x03; // 3 = L1, 2 = L2, 1 = L3
+    const brIdx = (buf[off + 2] >> 4) & 0x0f;
+    const srIdx = (buf[off + 2] >> 2) & 0x03;
+    const padding = (buf[off + 2] >> 1) & 0x01;
+
+    if (version === 1 || layer === 0 || brIdx === 0 || brIdx === 15 || srIdx === 3) {
+      if (frames) break;
+      off++;
+      continue;
+    }
+
+    const v1 = version === 3;
+    const table = v1 ? (layer === 3 ? "V1L1" : layer === 2 ? "V1L2" : "V1L3") : (layer === 3 ? "V2L1" : "V2L23");
+    const bitrate = MP3_BITRATES[table][brIdx - 1] * 1000;
+    const rate = MP3_RATES[version][srIdx];
+
+    const samples = layer === 3 ? 384 : layer === 2 || v1 ? 1152 : 576;
+    const len = layer === 3
+      ? Math.floor((12 * bitrate) / rate + padding) * 4
+      : Math.floor(((samples / 8) * bitrate) / rate) + padding;
+    if (len < 4) break;
+
+    seconds += samples / rate;
+    frames++;
+    off += len;
+  }
+
+  return frames ? Math.round(seconds * 1000) : null;
+}
+
+// -> { format, duration_ms } or null when the file isn't a readable WAV/MP3/Ogg
+export function readClipMeta(buf) {
+  const format = detectClipFormat(buf);
+  if (!format) return null;
+
+  const duration_ms = format === "wav" ? wavDurationMs(buf) : format === "ogg" ? oggDurationMs(buf) : mp3DurationMs(buf);
+  if (duration_ms === null || !Number.isFinite(duration_ms)) return null;
+  return { format, duration_ms };
+}
@@ -16,6 +16,23 @@ export async function query(text, params = []) {
   return pool.query(text, params);
 }
 
+// Runs fn(query) on one pooled client inside BEGIN/COMMIT (pool.query may hop between clients)
+export async function transaction(fn) {
+  const client = await pool.connect();
+  const txQuery = (text, params = []) => client.query(text, params);
+  try {
+    await txQuery("BEGIN");
+    const out = await fn(txQuery);
+    await txQuery("COMMIT");
+    return out;
+  } catch (e) {
+    await txQuery("ROLLBACK").catch(() => { });
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 export async function migrate() {
   await query(`
     CREATE TABLE IF NOT EXISTS flat_requests (
@@ -55,6 +72,20 @@ export async function migrate() {
     );
   `);
 
+  // SETUP = first-time credentials, RESET = forgotten-PIN recovery
+  await query(`ALTER TABLE setup_codes ADD COLUMN IF NOT EXISTS purpose TEXT NOT NULL DEFAULT 'SETUP';`);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS pin_reset_requests (
+      id BIGSERIAL PRIMARY KEY,
+      flat_id TEXT NOT NULL REFERENCES flats(flat_id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    );
+  `);
+
   await query(`
     CREATE TABLE IF NOT EXISTS admin_audit (
       id BIGSERIAL PRIMARY KEY,
@@ -64,7 +95,135 @@ export async function migrate() {
     );
   `);
 
+  await query(`
+    CREATE TABLE IF NOT EXISTS station_reports (
+      id BIGSERIAL PRIMARY KEY,
+      reporter_flat TEXT NOT NULL,
+      station_flat TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      note TEXT DEFAULT '',
+      live_json TEXT,
+      status TEXT NOT NULL DEFAULT 'OPEN',
+      resolution_note TEXT DEFAULT '',
+      resolved_at BIGINT,
+      created_at BIGINT NOT NULL
+    );
+  `);
+
+  // one row per reporter+station: claimed atomically so parallel reports can't both pass the window
+  await query(`
+    CREATE TABLE IF NOT EXISTS report_cooldowns (
+      reporter_flat TEXT NOT NULL,
+      station_flat TEXT NOT NULL,
+      last_reported_at BIGINT NOT NULL,
+      PRIMARY KEY (reporter_flat, station_flat)
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS auth_attempts (
+      attempt_key TEXT PRIMARY KEY,
+      fail_count INT NOT NULL DEFAULT 0,
+      locked_until BIGINT,
+      last_failed_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS broadcast_sessions (
+      id BIGSERIAL PRIMARY KEY,
+      flat_id TEXT NOT NULL,
+      started_at BIGINT NOT NULL,
+      ended_at BIGINT,
+      end_reason TEXT,
+      peak_listeners INT NOT NULL DEFAULT 0,
+      unique_listeners INT NOT NULL DEFAULT 0,
+      used_mic BOOLEAN NOT NULL DEFAULT FALSE,
+      used_sys BOOLEAN NOT NULL DEFAULT FALSE
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS station_profiles (
+      flat_id TEXT PRIMARY KEY REFERENCES flats(flat_id) ON DELETE CASCADE,
+      title TEXT NOT NULL DEFAULT '',
+      description TEXT NOT NULL DEFAULT '',
+      category TEXT NOT NULL DEFAULT 'OTHER',
+      emoji TEXT NOT NULL DEFAULT '',
+      color TEXT NOT NULL DEFAULT '',
+      updated_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS station_blocks (
+      owner_flat TEXT NOT NULL REFERENCES flats(flat_id) ON DELETE CASCADE,
+      blocked_flat TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      PRIMARY KEY (owner_flat, blocked_flat)
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id BIGSERIAL PRIMARY KEY,
+      msg_uid TEXT NOT NULL UNIQUE,
+      station_flat TEXT NOT NULL,
+      flat_id TEXT NOT NULL,
+      text TEXT NOT NULL,
+      deleted_at BIGINT,
+      created_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS mixer_settings (
+      flat_id TEXT PRIMARY KEY REFERENCES flats(flat_id) ON DELETE CASCADE,
+      settings TEXT NOT NULL DEFAULT '{}',
+      updated_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS recordings (
+      id BIGSERIAL PRIMARY KEY,
+      flat_id TEXT NOT NULL,
+      session_id BIGINT,
+      title TEXT NOT NULL DEFAULT '',
+      file_name TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      bytes BIGINT NOT NULL DEFAULT 0,
+      visibility TEXT NOT NULL DEFAULT 'PUBLIC',
+      allowed_flats TEXT[] NOT NULL DEFAULT '{}',
+      started_at BIGINT NOT NULL,
+      ended_at BIGINT,
+      deleted_at BIGINT
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS soundboard_clips (
+      id BIGSERIAL PRIMARY KEY,
+      flat_id TEXT NOT NULL REFERENCES flats(flat_id) ON DELETE CASCADE,
+      pad INTEGER NOT NULL,
+      name TEXT NOT NULL DEFAULT '',
+      file_name TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      bytes INTEGER NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      created_at BIGINT NOT NULL,
+      UNIQUE (flat_id, pad)
+    );
+  `);
+
   await query(`CREATE INDEX IF NOT EXISTS idx_flat_requests_status ON flat_requests(status);`);
   await query(`CREATE INDEX IF NOT EXISTS idx_setup_codes_flat_id ON setup_codes(flat_id);`);
   await query(`CREATE INDEX IF NOT EXISTS idx_setup_codes_expires ON setup_codes(expires_at);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_pin_reset_requests_flat ON pin_reset_requests(flat_id, status);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_broadcast_sessions_flat ON broadcast_sessions(flat_id, started_at);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_broadcast_sessions_time ON broadcast_sessions(started_at, ended_at);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_chat_messages_station ON chat_messages(station_flat, created_at);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_recordings_flat ON recordings(flat_id, started_at);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_station_reports_status ON station_reports(status);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_station_reports_pair ON station_reports(reporter_flat, station_flat, created_at);`);
 }
@@ -57,10 +57,21 @@
     const ct = (res.headers.get('content-type') || '').toLowerCase();
     if (!ct.includes('application/json')) throw new Error('BAD_RESPONSE');
     const data = await res.json();
-    if (!res.ok || data?.ok === false) throw new Error(data?.error || 'ERR');
+    if (!res.ok || data?.ok === false) {
+      const err = new Error(data?.error || 'ERR');
+      err.data = data; // e.g. retry_after on TOO_MANY_ATTEMPTS
+      throw err;
+    }
     return data;
   }
 
+  // for resident-entered text (station profiles) placed into innerHTML
+  function esc(v) {
+    return String(v ?? '').replace(/[&<>"']/g, (c) => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]));
+  }
+
   function setMsg(el, text, type) {
     if (!el) return;
     el.textContent = text || '';
@@ -69,6 +80,32 @@
     if (type === 'ok') el.classList.add('ok');
   }
 
+  function fmtWait(sec) {
+    const m = Math.floor(sec / 60);
+    const s = String(sec % 60).padStart(2, '0');
+    return m ? `${m}:${s} min` : `${sec}s`;
+  }
+
+  // Disable a button and count down `retry_after` from a throttled auth response
+  function startLockout(btn, msgEl, seconds, prefix) {
+    let left = Math.max(1, Number(seconds) || 0);
+    if (btn) btn.disabled = true;
+
+    const tick = () => {
+      if (left <= 0) {
+        clearInterval(t);
+        if (btn) btn.disabled = false;
+        setMsg(msgEl, 'You can try again now.');
+        return;
+      }
+      setMsg(msgEl, `${prefix} Try again in ${fmtWait(left)}.`, 'err');
+      left--;
+    };
+
+    const t = setInterval(tick, 1000);
+    tick();
+  }
+
   // ---------- INDEX (optional: request access quick) ----------
   async function initIndex() {
     if (window.location.pathname !== '/') return;
@@ -125,7 +162,10 @@
         await post('/api/login', { flat_id, pin4, password, remember });
         window.location.href = '/app';
       } catch (e) {
-        setMsg(msgEl, `Error: ${e.message}`, 'err');
+        const wait = e.data?.retry_after;
+        if (e.message === 'TOO_MANY_ATTEMPTS') startLockout(btnLogin, msgEl, wait, 'Too many failed attempts.');
+        else if (wait) startLockout(btnLogin, msgEl, wait, 'Wrong PIN or password.');
+        else setMsg(msgEl, `Error: ${e.message}`, 'err');
       }
     });
   }
@@ -221,6 +261,12 @@
           return;
         }
 
+        if (st.flow === 'RESET') {
+          setMsg(msgS2, 'This flat is already set up. Use "Forgot PIN?" below to reset your PIN.', 'err');
+          lockStep(step3, s3state, 'Locked');
+          return;
+        }
+
         if (reqStatus === 'APPROVED' && flatStatus === 'ACTIVE') {
           setMsg(msgS2, 'Approved. Ask admin for your one-time flat code. Step 3 unlocked.', 'ok');
           unlockStep(step3, s3state, 'Ready');
@@ -247,7 +293,101 @@
         setMsg(msgS3, 'PIN saved. Redirecting to login...', 'ok');
         setTimeout(() => (window.location.href = '/login'), 700);
       } catch (e) {
-        setMsg(msgS3, `Error: ${e.message}`, 'err');
+        const wait = e.data?.retry_after;
+        if (e.message === 'PIN_ALREADY_SET_USE_RESET') setMsg(msgS3, 'This flat is already set up. Use "Forgot PIN?" below.', 'err');
+        else if (e.message === 'TOO_MANY_ATTEMPTS') startLockout(btnS3, msgS3, wait, 'Too many failed attempts.');
+        else if (wait) startLockout(btnS3, msgS3, wait, 'Invalid code.');
+        else setMsg(msgS3, `Error: ${e.message}`, 'err');
+      }
+    });
+
+    // ---- Forgotten PIN (separate from first-time setup) ----
+    const rstep2 = byId('rstep2');
+    const r1state = byId('r1state');
+    const r2state = byId('r2state');
+    const msgR1 = byId('msgR1');
+    const msgR2 = byId('msgR2');
+    const rflat = byId('r_flat');
+    normalizeFlatInput(rflat);
+    const rname = byId('r_name');
+    const rcode = byId('r_code');
+    const rpin4 = byId('r_pin4');
+    const rpass = byId('r_pass');
+    const btnR1 = byId('btnR1');
+    const btnRCheck = byId('btnRCheck');
+    const btnR2 = byId('btnR2');
+
+    lockStep(rstep2, r2state, 'Locked');
+
+    btnR1?.addEventListener('click', async () => {
+      setMsg(msgR1, 'Submitting reset request...');
+      try {
+        const out = await post('/api/request-reset', {
+          flat_id: (rflat?.value || '').trim(),
+          name: (rname?.value || '').trim()
+        });
+        if (out.status === 'ISSUED') {
+          setMsg(msgR1, 'A reset code was already issued. Enter it below.', 'ok');
+          unlockStep(rstep2, r2state, 'Ready');
+        } else {
+          setMsg(msgR1, 'Reset requested. Ask admin for your reset code.', 'ok');
+        }
+        if (r1state) r1state.textContent = 'Requested';
+      } catch (e) {
+        if (e.message === 'PIN_NOT_SET_USE_SETUP') setMsg(msgR1, 'This flat has no PIN yet. Use the setup steps above.', 'err');
+        else setMsg(msgR1, `Error: ${e.message}`, 'err');
+      }
+    });
+
+    btnRCheck?.addEventListener('click', async () => {
+      const flat = (rflat?.value || '').trim();
+      if (!flat) {
+        setMsg(msgR1, 'Enter your Flat ID first.', 'err');
+        return;
+      }
+
+      setMsg(msgR1, 'Checking status...');
+      try {
+        const st = await get(`/api/setup-status?flat_id=${encodeURIComponent(flat)}`);
+
+        if (st.flow !== 'RESET') {
+          setMsg(msgR1, 'This flat has no PIN yet. Use the setup steps above.', 'err');
+          return;
+        }
+
+        const rs = st?.reset?.status || 'NONE';
+        if (rs === 'ISSUED') {
+          setMsg(msgR1, 'Reset code issued. Enter it below.', 'ok');
+          unlockStep(rstep2, r2state, 'Ready');
+        } else if (rs === 'PENDING') {
+          setMsg(msgR1, 'Still pending. Ask admin for your reset code.', 'err');
+        } else if (rs === 'REJECTED') {
+          setMsg(msgR1, 'Reset request rejected. Ask admin to review.', 'err');
+        } else {
+          setMsg(msgR1, 'No open reset request. Submit one first.', 'err');
+        }
+      } catch (e) {
+        setMsg(msgR1, `Error: ${e.message}`, 'err');
+      }
+    });
+
+    btnR2?.addEventListener('click', async () => {
+      setMsg(msgR2, 'Resetting credentials...');
+      try {
+        await post('/api/reset-pin', {
+          flat_id: (rflat?.value || '').trim(),
+          code: (rcode?.value || '').trim(),
+          pin4: (rpin4?.value || '').trim(),
+          password: (rpass?.value || '').trim()
+        });
+
+        setMsg(msgR2, 'PIN reset. All devices were signed out. Redirecting to login...', 'ok');
+        setTimeout(() => (window.location.href = '/login'), 900);
+      } catch (e) {
+        const wait = e.data?.retry_after;
+        if (e.message === 'TOO_MANY_ATTEMPTS') startLockout(btnR2, msgR2, wait, 'Too many failed attempts.');
+        else if (wait) startLockout(btnR2, msgR2, wait, 'Invalid code.');
+        else setMsg(msgR2, `Error: ${e.message}`, 'err');
       }
     });
   }
@@ -286,8 +426,16 @@
 
     function updateLevelLabels() {
       if (micLevelValEl) micLevelValEl.textContent = `${Number(micLevelEl?.value || 0)}%`;
-      if (sysLevelValEl) sysLevelValEl.textContent = `${Number(sysLevelEl?.value || 0)}%`;
+      if (sysLevelValEl) {
+        const base = Number(sysLevelEl?.value || 0);
+        // while ducked, show what listeners actually get
+        sysLevelValEl.textContent = duck.ducked ? `${base}% → ${Math.round(base * duck.gain)}%` : `${base}%`;
+      }
+      sysLevelEl?.classList.toggle('ducked', duck.ducked);
     }
+    // sidechain ducking state (see dynamicsTick)
+    const duck = { ducked: false, gain: 1, lastTalkAt: 0, pttHeld: false };
+
     micLevelEl?.addEventListener('input', updateLevelLabels);
     sysLevelEl?.addEventListener('input', updateLevelLabels);
     updateLevelLabels();
@@ -303,7 +451,44 @@
     };
 
     // --- WebRTC signal/mix state ---
-    const ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+    // ICE servers come from /api/ice-config (TURN credentials are time-limited)
+    const FALLBACK_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+    const ICE_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+    let iceConfig = null; // { iceServers, expiresAt }
+    let iceFetch = null;
+    let iceRefreshTimer = null;
+
+    async function getIceServers() {
+      if (iceConfig && iceConfig.expiresAt - Date.now() > ICE_REFRESH_MARGIN_MS) return iceConfig.iceServers;
+
+      if (!iceFetch) {
+        iceFetch = get('/api/ice-config')
+          .then((data) => {
+            iceConfig = { iceServers: data.iceServers, expiresAt: data.expiresAt };
+            scheduleIceRefresh();
+          })
+          .catch(() => { })
+          .finally(() => { iceFetch = null; });
+      }
+      await iceFetch;
+      return iceConfig?.iceServers || FALLBACK_ICE_SERVERS;
+    }
+
+    // Fetch fresh credentials before they lapse and hand them to open connections
+    // (used by TURN refreshes and any later ICE restart)
+    function scheduleIceRefresh() {
+      clearTimeout(iceRefreshTimer);
+      const wait = Math.max(iceConfig.expiresAt - Date.now() - ICE_REFRESH_MARGIN_MS, 30 * 1000);
+      iceRefreshTimer = setTimeout(async () => {
+        const iceServers = await getIceServers();
+        const open = [...pcs.values(), listenPC, cohostOutPC, cohostIn?.pc].filter(Boolean);
+        open.forEach(pc => {
+          try { pc.setConfiguration({ ...pc.getConfiguration(), iceServers }); } catch { }
+        });
+      }, wait);
+    }
+
+    getIceServers(); // warm the cache so the first Listen/join doesn't wait on it
 
     let signalWS = null;
 
@@ -324,6 +509,25 @@
     // listener side
     let listenPC = null;
     let listeningTo = null;
+    let relayStream = null; // what we receive; also forwarded when we act as a relay
+
+    // from broadcast:start; lets this device reattach to its station after a network drop
+    let resumeToken = null;
+
+    // hand-over between devices of this flat
+    let takeoverPending = false; // this device asked to take the show
+    let takeoverAsk = null; // live device: { deadline } while another device is asking
+
+    // station currently showing the inline report form
+    let reportingId = null;
+
+    // live station list, kept in sync by presence socket events
+    const stationsById = new Map();
+
+    // APPROVAL stations: where I'm accepted / waiting (listener), who is asking (broadcaster)
+    const approvedStations = new Set();
+    let waitingFor = null;
+    const listenRequests = new Set();
 
     function wsProto() {
       return location.protocol === 'https:' ? 'wss' : 'ws';
@@ -333,15 +537,60 @@
       return new Promise((resolve, reject) => {
         if (signalWS && signalWS.readyState === 1) return resolve();
 
-        signalWS = new WebSocket(`${wsProto()}://${location.host}/ws/signal`);
+        const sock = new WebSocket(`${wsProto()}://${location.host}/ws/signal`);
+        signalWS = sock;
 
-        signalWS.onopen = () => {
-          signalWS.send(JSON.stringify({ type: 'identify', flat_id: state.myFlat, role }));
+        sock.onopen = () => {
+          sock.send(JSON.stringify({
+            type: 'identify',
+            flat_id: state.myFlat,
+            role,
+            resumeToken: role === 'broadcaster' ? resumeToken : undefined
+          }));
           resolve();
         };
 
-        signalWS.onerror = () => reject(new Error('SIGNAL_WS_ERROR'));
-        signalWS.onmessage = (ev) => onSignalMessage(ev);
+        sock.onerror = () => reject(new Error('SIGNAL_WS_ERROR'));
+        sock.onmessage = (ev) => onSignalMessage(ev);
+
+        // dropped mid-session: broadcaster reattaches with its token, listener re-joins
+        sock.onclose = () => {
+          if (signalWS !== sock) return;
+          if (state.myMode === 'broadcasting' && resumeToken) scheduleSignalRetry();
+          else if (listeningTo) scheduleRejoin();
+        };
+      });
+    }
+
+    let signalRetryTimer = null;
+    let signalRetry = 0;
+
+    function scheduleSignalRetry() {
+      if (signalRetryTimer) return;
+      const delay = Math.min(1000 * 2 ** signalRetry, 15000);
+      signalRetry++;
+      signalRetryTimer = setTimeout(async () => {
+        signalRetryTimer = null;
+        if (state.myMode !== 'broadcasting' || !resumeToken) return;
+        try {
+          await ensureSignalWS('broadcaster');
+          signalRetry = 0;
+        } catch {
+          scheduleSignalRetry();
+        }
+      }, delay);
+    }
+
+    // Broadcaster resumed signaling: keep healthy peer connections, offer afresh to the rest
+    function onRelayChildren(msg) {
+      const ids = new Set(msg.listenerIds || []);
+      pcs.forEach((pc, id) => { if (!ids.has(id)) onListenerLeave(id); });
+
+      ids.forEach(id => {
+        const pc = pcs.get(id);
+        if (pc && pc.connectionState === 'connected') return;
+        if (pc) onListenerLeave(id);
+        onListenerJoin(id);
       });
     }
 
@@ -355,16 +604,431 @@
       if (msg.type === 'webrtc:offer') return onOfferFromBroadcaster(msg);
       if (msg.type === 'webrtc:answer') return onAnswerFromListener(msg);
       if (msg.type === 'webrtc:ice') return onRemoteIce(msg);
+      if (msg.type === 'listen:error') return onListenError(msg);
+      if (msg.type === 'relay:children') return onRelayChildren(msg);
+
+      // our relay parent left: new peer connection, the new parent sends an offer
+      if (msg.type === 'relay:reparent') {
+        if (listeningTo && msg.targetFlat === listeningTo) createListenPC(listeningTo);
+        return;
+      }
+
+      if (msg.type === 'cohost:offer') return onCohostOffer(msg);
+      if (msg.type === 'cohost:answer') return onCohostAnswer(msg);
+      if (msg.type === 'cohost:ice') return onCohostIce(msg);
+    }
+
+    const LISTEN_ERROR_TEXT = {
+      STATION_OFFLINE: 'Station is offline.',
+      NOT_ALLOWED: 'This station is private.',
+      APPROVAL_REQUIRED: 'This station needs the broadcaster\'s approval.',
+      DECLINED: 'The broadcaster declined your request.',
+      BLOCKED: 'The broadcaster has blocked your flat from this station.',
+      BROADCASTER_SIGNAL_NOT_READY: 'Broadcaster is still connecting. Try again.'
+    };
+
+    function onListenError(msg) {
+      const target = msg.targetFlat || listeningTo || waitingFor;
+      if (waitingFor === target) waitingFor = null;
+      if (msg.error === 'DECLINED' || msg.error === 'APPROVAL_REQUIRED') approvedStations.delete(target);
+      if (listeningTo && listeningTo === target) stopListening();
+      setMsgLocal(`${target ? `${target}: ` : ''}${LISTEN_ERROR_TEXT[msg.error] || msg.error}`);
+      applyStations();
     }
 
     function micSliderGain() { return (Number(micLevelEl?.value || 100) / 100); }
     function sysSliderGain() { return (Number(sysLevelEl?.value || 70) / 100); }
 
+    // ---- Processing chain: mic -> gate -> micGain -> bus <- sysGain / co-host; bus -> EQ -> comp -> limiter -> dest ----
+    // Stages switched off are set transparent (0 dB EQ, ratio 1) rather than unwired, so toggling live doesn't click.
+    const EQ_PRESETS = {
+      VOICE: { eqLowDb: -3, eqMidDb: 2, eqHighDb: 3 },
+      MUSIC: { eqLowDb: 3, eqMidDb: -1, eqHighDb: 2 },
+      FLAT: { eqLowDb: 0, eqMidDb: 0, eqHighDb: 0 }
+    };
+    const GATE_FLOOR = 0.01; // -40 dB when closed
+    const GATE_HOLD_MS = 200;
+    const GR_FULL_SCALE_DB = 24;
+    const DUCK_HOLD_MS = 300; // bridges gaps between words
+
+    let procSettings = {
+      gateOn: false, gateThresholdDb: -50,
+      eqOn: false, eqPreset: 'VOICE', eqLowDb: -3, eqMidDb: 2, eqHighDb: 3,
+      compOn: false, compThresholdDb: -24, compRatio: 4,
+      limiterOn: true,
+      duckOn: false, duckAmountDb: 12, duckThresholdDb: -40, duckAttackMs: 50, duckReleaseMs: 600,
+      micDeviceId: '', micDeviceLabel: '', micEchoCancellation: true, micNoiseSuppression: true, micAutoGainControl: true
+    };
+    let procNodes = null; // { bus, gate, duck, low, mid, high, comp, limiter } while the mixer exists
+    let dynTimer = null;
+    const gate = { open: true, lastAboveAt: 0, buf: null };
+
+    const procGateEl = byId('procGate');
+    const gateThresholdEl = byId('gateThreshold');
+    const gateThresholdValEl = byId('gateThresholdVal');
+    const procEqEl = byId('procEq');
+    const eqPresetEl = byId('eqPreset');
+    const eqLowEl = byId('eqLow');
+    const eqMidEl = byId('eqMid');
+    const eqHighEl = byId('eqHigh');
+    const procCompEl = byId('procComp');
+    const compThresholdEl = byId('compThreshold');
+    const compThresholdValEl = byId('compThresholdVal');
+    const compRatioEl = byId('compRatio');
+    const compRatioValEl = byId('compRatioVal');
+    const procLimiterEl = byId('procLimiter');
+    const procDuckEl = byId('procDuck');
+    const duckAmountEl = byId('duckAmount');
+    const duckAmountValEl = byId('duckAmountVal');
+    const duckThresholdEl = byId('duckThreshold');
+    const duckThresholdValEl = byId('duckThresholdVal');
+    const duckAttackEl = byId('duckAttack');
+    const duckAttackValEl = byId('duckAttackVal');
+    const duckReleaseEl = byId('duckRelease');
+    const duckReleaseValEl = byId('duckReleaseVal');
+    const grGateEl = byId('grGate');
+    const grCompEl = byId('grComp');
+    const grLimitEl = byId('grLimit');
+
+    function buildProcessingChain() {
+      const bus = audioCtx.createGain();
+      const gateNode = audioCtx.createGain();
+      const duckNode = audioCtx.createGain(); // after sysGain, so the slider keeps its own value
+
+      const low = audioCtx.createBiquadFilter();
+      low.type = 'lowshelf';
+      low.frequency.value = 200;
+
+      const mid = audioCtx.createBiquadFilter();
+      mid.type = 'peaking';
+      mid.frequency.value = 1500;
+      mid.Q.value = 0.9;
+
+      const high = audioCtx.createBiquadFilter();
+      high.type = 'highshelf';
+      high.frequency.value = 5000;
+
+      const comp = audioCtx.createDynamicsCompressor();
+      comp.knee.value = 6;
+      comp.attack.value = 0.01;
+      comp.release.value = 0.2;
+
+      // fastest attack, hard knee, max ratio: as close to brickwall as the built-in node gets
+      const limiter = audioCtx.createDynamicsCompressor();
+      limiter.knee.value = 0;
+      limiter.attack.value = 0;
+      limiter.release.value = 0.05;
+
+      bus.connect(low).connect(mid).connect(high).connect(comp).connect(limiter).connect(dest);
+      duckNode.connect(bus);
+
+      procNodes = { bus, gate: gateNode, duck: duckNode, low, mid, high, comp, limiter };
+      applyProcessing();
+      startDynamics();
+      return procNodes;
+    }
+
+    function applyProcessing() {
+      const s = procSettings;
+      const n = procNodes;
+      if (!n) return;
+
+      n.low.gain.value = s.eqOn ? s.eqLowDb : 0;
+      n.mid.gain.value = s.eqOn ? s.eqMidDb : 0;
+      n.high.gain.value = s.eqOn ? s.eqHighDb : 0;
+
+      n.comp.threshold.value = s.compOn ? s.compThresholdDb : 0;
+      n.comp.ratio.value = s.compOn ? s.compRatio : 1;
+
+      n.limiter.threshold.value = s.limiterOn ? -1 : 0;
+      n.limiter.ratio.value = s.limiterOn ? 20 : 1;
+
+      if (!s.gateOn) {
+        gate.open = true;
+        n.gate.gain.setTargetAtTime(1, audioCtx.currentTime, 0.01);
+      }
+
+      // amount changed mid-duck: move to the new depth
+      if (duck.ducked) setDuck(true, true);
+    }
+
+    // ramp the sidechain gain; time constant = a third of attack/release so it's ~95% there in that time
+    function setDuck(on, force) {
+      if (!procNodes || (on === duck.ducked && !force)) return;
+      const target = on ? Math.pow(10, -procSettings.duckAmountDb / 20) : 1;
+      const ms = on ? procSettings.duckAttackMs : procSettings.duckReleaseMs;
+      procNodes.duck.gain.setTargetAtTime(target, audioCtx.currentTime, ms / 3000);
+      duck.ducked = on;
+      duck.gain = target;
+      updateLevelLabels();
+    }
+
+    // Level-driven work that has no native node (gate). Timer, not rAF: keeps running in a background tab.
+    function startDynamics() {
+      stopDynamics();
+      gate.open = true;
+      gate.buf = null;
+      duck.ducked = false;
+      duck.gain = 1;
+      dynTimer = setInterval(dynamicsTick, 20);
+    }
+
+    function stopDynamics() {
+      if (dynTimer) clearInterval(dynTimer);
+      dynTimer = null;
+      duck.ducked = false;
+      duck.gain = 1;
+      updateLevelLabels();
+    }
+
+    function micLevelDb() {
+      if (!micAnalyser) return -Infinity;
+      if (!gate.buf) gate.buf = new Float32Array(micAnalyser.fftSize);
+      micAnalyser.getFloatTimeDomainData(gate.buf);
+      let sum = 0;
+      for (let i = 0; i < gate.buf.length; i++) sum += gate.buf[i] * gate.buf[i];
+      return 20 * Math.log10(Math.sqrt(sum / gate.buf.length) || 1e-6);
+    }
+
+    function dynamicsTick() {
+      if (!procNodes || !audioCtx) return;
+      const now = audioCtx.currentTime;
+      const db = micLevelDb();
+
+      // ducking trigger: the PTT press when PTT is on, otherwise the mic level
+      const micLive = !!micEnableEl?.checked;
+      const talking = micLive && (pttEnableEl?.checked ? duck.pttHeld : db > procSettings.duckThresholdDb);
+      if (talking) duck.lastTalkAt = Date.now();
+      setDuck(procSettings.duckOn && Date.now() - duck.lastTalkAt < DUCK_HOLD_MS);
+
+      if (procSettings.gateOn) {
+        const thr = procSettings.gateThresholdDb;
+        if (db > thr) {
+          gate.lastAboveAt = Date.now();
+          if (!gate.open) {
+            gate.open = true;
+            procNodes.gate.gain.setTargetAtTime(1, now, 0.003);
+          }
+        } else if (gate.open && db < thr - 4 && Date.now() - gate.lastAboveAt > GATE_HOLD_MS) {
+          gate.open = false;
+          procNodes.gate.gain.setTargetAtTime(GATE_FLOOR, now, 0.05);
+        }
+      }
+    }
+
+    function reductionDb(node) {
+      const r = node?.reduction;
+      return typeof r === 'number' ? r : (r?.value || 0); // older Chrome exposed an AudioParam
+    }
+
+    function setGrBar(el, db) {
+      if (el) el.style.width = `${Math.min(100, Math.round((Math.max(0, -db) / GR_FULL_SCALE_DB) * 100))}%`;
+    }
+
+    function renderGainReduction() {
+      const n = procNodes;
+      setGrBar(grGateEl, n ? 20 * Math.log10(Math.max(n.gate.gain.value, 1e-4)) : 0);
+      setGrBar(grCompEl, n ? reductionDb(n.comp) : 0);
+      setGrBar(grLimitEl, n ? reductionDb(n.limiter) : 0);
+    }
+
+    function renderProcessingUI() {
+      const s = procSettings;
+      if (procGateEl) procGateEl.checked = s.gateOn;
+      if (gateThresholdEl) gateThresholdEl.value = s.gateThresholdDb;
+      if (gateThresholdValEl) gateThresholdValEl.textContent = `${s.gateThresholdDb} dB`;
+      if (procEqEl) procEqEl.checked = s.eqOn;
+      if (eqPresetEl) eqPresetEl.value = s.eqPreset;
+      if (eqLowEl) eqLowEl.value = s.eqLowDb;
+      if (eqMidEl) eqMidEl.value = s.eqMidDb;
+      if (eqHighEl) eqHighEl.value = s.eqHighDb;
+      if (procCompEl) procCompEl.checked = s.compOn;
+      if (compThresholdEl) compThresholdEl.value = s.compThresholdDb;
+      if (compThresholdValEl) compThresholdValEl.textContent = `${s.compThresholdDb} dB`;
+      if (compRatioEl) compRatioEl.value = s.compRatio;
+      if (compRatioValEl) compRatioValEl.textContent = `${s.compRatio}:1`;
+      if (procLimiterEl) procLimiterEl.checked = s.limiterOn;
+      if (procDuckEl) procDuckEl.checked = s.duckOn;
+      if (duckAmountEl) duckAmountEl.value = s.duckAmountDb;
+      if (duckAmountValEl) duckAmountValEl.textContent = `-${s.duckAmountDb} dB`;
+      if (duckThresholdEl) duckThresholdEl.value = s.duckThresholdDb;
+      if (duckThresholdValEl) duckThresholdValEl.textContent = `${s.duckThresholdDb} dB`;
+      if (duckAttackEl) duckAttackEl.value = s.duckAttackMs;
+      if (duckAttackValEl) duckAttackValEl.textContent = `${s.duckAttackMs} ms`;
+      if (duckReleaseEl) duckReleaseEl.value = s.duckReleaseMs;
+      if (duckReleaseValEl) duckReleaseValEl.textContent = `${s.duckReleaseMs} ms`;
+      if (micDeviceEl) micDeviceEl.value = resolveMicDeviceId();
+      if (micEcEl) micEcEl.checked = s.micEchoCancellation;
+      if (micNsEl) micNsEl.checked = s.micNoiseSuppression;
+      if (micAgcEl) micAgcEl.checked = s.micAutoGainControl;
+    }
+
+    async function loadMixerSettings() {
+      try {
+        const { settings } = await get('/api/mixer-settings');
+        procSettings = { ...procSettings, ...settings };
+        renderProcessingUI();
+        applyProcessing();
+      } catch { }
+      refreshMicDevices();
+    }
+
+    let mixerSaveTimer = null;
+    function saveMixerSettingsSoon() {
+      clearTimeout(mixerSaveTimer);
+      mixerSaveTimer = setTimeout(() => {
+        post('/api/mixer-settings', { settings: procSettings }).catch(() => { });
+      }, 800);
+    }
+
+    function updateProcessing(patch) {
+      procSettings = { ...procSettings, ...patch };
+      renderProcessingUI();
+      applyProcessing();
+      saveMixerSettingsSoon();
+    }
+
+    procGateEl?.addEventListener('change', () => updateProcessing({ gateOn: procGateEl.checked }));
+    gateThresholdEl?.addEventListener('input', () => updateProcessing({ gateThresholdDb: Number(gateThresholdEl.value) }));
+    procEqEl?.addEventListener('change', () => updateProcessing({ eqOn: procEqEl.checked }));
+    eqPresetEl?.addEventListener('change', () => {
+      updateProcessing({ eqPreset: eqPresetEl.value, ...(EQ_PRESETS[eqPresetEl.value] || {}) });
+    });
+    // moving a band by hand leaves the preset
+    eqLowEl?.addEventListener('input', () => updateProcessing({ eqPreset: 'CUSTOM', eqLowDb: Number(eqLowEl.value) }));
+    eqMidEl?.addEventListener('input', () => updateProcessing({ eqPreset: 'CUSTOM', eqMidDb: Number(eqMidEl.value) }));
+    eqHighEl?.addEventListener('input', () => updateProcessing({ eqPreset: 'CUSTOM', eqHighDb: Number(eqHighEl.value) }));
+    procCompEl?.addEventListener('change', () => updateProcessing({ compOn: procCompEl.checked }));
+    compThresholdEl?.addEventListener('input', () => updateProcessing({ compThresholdDb: Number(compThresholdEl.value) }));
+    compRatioEl?.addEventListener('input', () => updateProcessing({ compRatio: Number(compRatioEl.value) }));
+    procLimiterEl?.addEventListener('change', () => updateProcessing({ limiterOn: procLimiterEl.checked }));
+    procDuckEl?.addEventListener('change', () => updateProcessing({ duckOn: procDuckEl.checked }));
+    duckAmountEl?.addEventListener('input', () => updateProcessing({ duckAmountDb: Number(duckAmountEl.value) }));
+    duckThresholdEl?.addEventListener('input', () => updateProcessing({ duckThresholdDb: Number(duckThresholdEl.value) }));
+    duckAttackEl?.addEventListener('input', () => updateProcessing({ duckAttackMs: Number(duckAttackEl.value) }));
+    duckReleaseEl?.addEventListener('input', () => updateProcessing({ duckReleaseMs: Number(duckReleaseEl.value) }));
+
+    // ---- Mic capture: chosen device + browser processing, saved with the mixer settings ----
+    const micDeviceEl = byId('micDevice');
+    const micEcEl = byId('micEc');
+    const micNsEl = byId('micNs');
+    const micAgcEl = byId('micAgc');
+    let micDevices = []; // audioinput MediaDeviceInfo
+    let micSrc = null; // MediaStreamSourceNode feeding the mixer, rewired on swap
+    let micSwap = Promise.resolve(); // swaps run one after another
+
+    // Saved id if this browser has it, else a device with the saved label, else the default
+    function resolveMicDeviceId() {
+      const s = procSettings;
+      if (!s.micDeviceId && !s.micDeviceLabel) return '';
+      if (micDevices.some(d => d.deviceId === s.micDeviceId)) return s.micDeviceId;
+      return micDevices.find(d => d.label && d.label === s.micDeviceLabel)?.deviceId || '';
+    }
+
+    function micConstraints() {
+      const deviceId = resolveMicDeviceId();
+      return {
+        audio: {
+          ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+          echoCancellation: procSettings.micEchoCancellation,
+          noiseSuppression: procSettings.micNoiseSuppression,
+          autoGainControl: procSettings.micAutoGainControl
+        }
+      };
+    }
+
+    async function refreshMicDevices() {
+      if (!navigator.mediaDevices?.enumerateDevices) return;
+      try {
+        micDevices = (await navigator.mediaDevices.enumerateDevices())
+          .filter(d => d.kind === 'audioinput' && d.deviceId !== 'default' && d.deviceId);
+      } catch {
+        micDevices = [];
+      }
+
+      // labels stay empty until mic permission is granted (first broadcast)
+      if (micDeviceEl) {
+        micDeviceEl.innerHTML = [
+          `<option value="">Default mic</option>`,
+          ...micDevices.map((d, i) => `<option value="${esc(d.deviceId)}">${esc(d.label || `Microphone ${i + 1}`)}</option>`)
+        ].join('');
+        micDeviceEl.value = resolveMicDeviceId();
+      }
+    }
+
+    async function openMic() {
+      try {
+        return await navigator.mediaDevices.getUserMedia(micConstraints());
+      } catch (e) {
+        if (!resolveMicDeviceId() || (e.name !== 'OverconstrainedError' && e.name !== 'NotFoundError')) throw e;
+        setMsgLocal('Chosen mic not available, using the default mic.');
+        const { deviceId, ...audio } = micConstraints().audio;
+        return navigator.mediaDevices.getUserMedia({ audio });
+      }
+    }
+
     async function ensureMic() {
       if (micStream) return;
-      micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      micStream = await openMic();
+      refreshMicDevices(); // permission granted: real labels now
+    }
+
+    // Re-open an open mic with the current setup; the mixer keeps its graph and output stream,
+    // so listeners don't renegotiate. Nothing open = the next ensureMic() picks it up.
+    function swapMic() {
+      if (!micStream) return micSwap;
+      micSwap = micSwap.then(async () => {
+        if (!micStream) return;
+        let next;
+        try {
+          next = await openMic();
+        } catch (e) {
+          setMsgLocal(`Mic switch failed: ${e.message}`);
+          return;
+        }
+        if (!micStream) { // stopped while we waited for the device
+          next.getTracks().forEach(t => t.stop());
+          return;
+        }
+
+        const old = micStream;
+        micStream = next;
+        if (audioCtx && micSrc) {
+          micSrc.disconnect();
+          micSrc = audioCtx.createMediaStreamSource(next);
+          if (micAnalyser) micSrc.connect(micAnalyser);
+          if (procNodes) micSrc.connect(procNodes.gate);
+        }
+        old.getTracks().forEach(t => t.stop());
+
+        const label = next.getAudioTracks()[0]?.label;
+        if (label) setMsgLocal(`Mic: ${label}`);
+      }).catch(() => { });
+      return micSwap;
     }
 
+    function currentMicDeviceId() {
+      return micStream?.getAudioTracks()[0]?.getSettings?.().deviceId || '';
+    }
+
+    micDeviceEl?.addEventListener('change', () => {
+      const d = micDevices.find(x => x.deviceId === micDeviceEl.value);
+      updateProcessing({ micDeviceId: d?.deviceId || '', micDeviceLabel: d?.label || '' });
+      swapMic();
+    });
+    micEcEl?.addEventListener('change', () => { updateProcessing({ micEchoCancellation: micEcEl.checked }); swapMic(); });
+    micNsEl?.addEventListener('change', () => { updateProcessing({ micNoiseSuppression: micNsEl.checked }); swapMic(); });
+    micAgcEl?.addEventListener('change', () => { updateProcessing({ micAutoGainControl: micAgcEl.checked }); swapMic(); });
+
+    // Mic plugged in/out: follow the saved choice, or fall back when the open one vanished
+    navigator.mediaDevices?.addEventListener?.('devicechange', async () => {
+      await refreshMicDevices();
+      if (!micStream) return;
+      const track = micStream.getAudioTracks()[0];
+      const want = resolveMicDeviceId();
+      if (!track || track.readyState === 'ended' || (want && want !== currentMicDeviceId())) swapMic();
+    });
+
     async function pickSystemAudio() {
       const ds = await navigator.mediaDevices.getDisplayMedia({ audio: true, video: true });
       const a = ds.getAudioTracks()[0];
@@ -381,6 +1045,460 @@
       if (sysSelectedEl) sysSelectedEl.textContent = `System audio: ${label}`;
     }
 
+    // ---- Playlist: local files -> two <audio> decks (for crossfade) -> own fader -> duck -> bus ----
+    // Files are played from object URLs; only the track title is sent to the server.
+    const plFilesEl = byId('plFiles');
+    const plListEl = byId('plList');
+    const plNowEl = byId('plNow');
+    const btnPlPlay = byId('btnPlPlay');
+    const btnPlSkip = byId('btnPlSkip');
+    const plShuffleEl = byId('plShuffle');
+    const plCrossfadeEl = byId('plCrossfade');
+    const plCrossfadeValEl = byId('plCrossfadeVal');
+    const plLevelEl = byId('plLevel');
+    const plLevelValEl = byId('plLevelVal');
+
+    const playlist = {
+      tracks: [], // { id, title, url }
+      order: [], // tracks in play order (shuffled or not)
+      current: null,
+      playing: false,
+      decks: null, // [{ el, gain }] while the mixer exists
+      active: 0,
+      gain: null
+    };
+    let plTrackSeq = 0;
+
+    function plSliderGain() { return (Number(plLevelEl?.value || 80) / 100); }
+    function plCrossfadeSec() { return Number(plCrossfadeEl?.value || 0); }
+
+    function buildPlaylistDecks(chain) {
+      playlist.gain = audioCtx.createGain();
+      playlist.gain.gain.value = plSliderGain();
+      playlist.gain.connect(chain.duck); // music: ducked under the voice like system audio
+
+      // an <audio> can feed only one AudioContext, so decks are rebuilt with the mixer
+      playlist.decks = [0, 1].map(() => {
+        const deck = { el: new Audio(), gain: audioCtx.createGain() };
+        deck.el.preload = 'auto';
+        audioCtx.createMediaElementSource(deck.el).connect(deck.gain).connect(playlist.gain);
+        deck.el.addEventListener('timeupdate', () => plCheckCrossfade(deck));
+        deck.el.addEventListener('ended', () => {
+          if (deck === playlist.decks?.[playlist.active]) plNext(false);
+        });
+        return deck;
+      });
+      playlist.active = 0;
+    }
+
+    function teardownPlaylistDecks() {
+      plStop();
+      playlist.decks?.forEach(d => d.el.removeAttribute('src'));
+      playlist.decks = null;
+      playlist.gain = null;
+    }
+
+    function plReorder() {
+      const rest = playlist.tracks.filter(t => t !== playlist.current);
+      if (plShuffleEl?.checked) {
+        for (let i = rest.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [rest[i], rest[j]] = [rest[j], rest[i]];
+        }
+        playlist.order = playlist.current ? [playlist.current, ...rest] : rest;
+      } else {
+        playlist.order = [...playlist.tracks];
+      }
+    }
+
+    function setNowPlaying(title) {
+      if (plNowEl) plNowEl.textContent = `Now playing: ${title || '-'}`;
+      sendPresence({ type: 'broadcast:nowplaying', title: title || null });
+    }
+
+    // Start a track on the idle deck; fade = crossfade from the current one
+    function plPlay(track, fade) {
+      if (!playlist.decks || !track) return;
+      const now = audioCtx.currentTime;
+      const cf = fade ? plCrossfadeSec() : 0;
+
+      const out = playlist.decks[playlist.active];
+      const nextIdx = playlist.playing ? 1 - playlist.active : playlist.active;
+      const deck = playlist.decks[nextIdx];
+
+      if (playlist.playing && out !== deck) {
+        out.gain.gain.cancelScheduledValues(now);
+        out.gain.gain.setValueAtTime(out.gain.gain.value, now);
+        out.gain.gain.linearRampToValueAtTime(0, now + cf);
+        setTimeout(() => { if (playlist.decks?.[playlist.active] !== out) out.el.pause(); }, cf * 1000 + 50);
+      }
+
+      deck.el.src = track.url;
+      deck.gain.gain.cancelScheduledValues(now);
+      deck.gain.gain.setValueAtTime(cf ? 0 : 1, now);
+      if (cf) deck.gain.gain.linearRampToValueAtTime(1, now + cf);
+      deck.el.play().catch(() => { });
+      deck.fading = false;
+
+      playlist.active = nextIdx;
+      playlist.current = track;
+      playlist.playing = true;
+      setNowPlaying(track.title);
+      renderPlaylist();
+    }
+
+    function plNext(fade) {
+      const pos = playlist.order.indexOf(playlist.current);
+      const next = playlist.order[pos + 1];
+      if (next) plPlay(next, fade);
+      else plStop();
+    }
+
+    function plCheckCrossfade(deck) {
+      const cf = plCrossfadeSec();
+      if (!cf || deck.fading || deck !== playlist.decks?.[playlist.active] || !playlist.playing) return;
+      if (!deck.el.duration || deck.el.duration - deck.el.currentTime > cf) return;
+      deck.fading = true;
+      plNext(true);
+    }
+
+    function plStop() {
+      playlist.decks?.forEach(d => d.el.pause());
+      if (playlist.playing) setNowPlaying(null);
+      playlist.playing = false;
+      renderPlaylist();
+    }
+
+    function renderPlaylist() {
+      if (btnPlPlay) btnPlPlay.textContent = playlist.playing ? 'Pause' : 'Play';
+      if (!plListEl) return;
+      plListEl.innerHTML = playlist.order.map(t => `
+        <div class="item" style="display:flex; justify-content:space-between; gap:8px; align-items:center;">
+          <div class="small">${t === playlist.current ? '▶ ' : ''}${esc(t.title)}</div>
+          <div style="display:flex; gap:6px;">
+            <button class="btn" data-plplay="${t.id}">Play</button>
+            <button class="btn" data-plremove="${t.id}">Remove</button>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    plFilesEl?.addEventListener('change', () => {
+      for (const file of plFilesEl.files || []) {
+        playlist.tracks.push({
+          id: ++plTrackSeq,
+          title: file.name.replace(/\.[^.]+$/, ''),
+          url: URL.createObjectURL(file)
+        });
+      }
+      plFilesEl.value = '';
+      plReorder();
+      renderPlaylist();
+    });
+
+    plListEl?.addEventListener('click', (e) => {
+      const play = e.target.closest('[data-plplay]');
+      const remove = e.target.closest('[data-plremove]');
+      const id = Number((play || remove)?.dataset.plplay || (play || remove)?.dataset.plremove);
+      const track = playlist.tracks.find(t => t.id === id);
+      if (!track) return;
+
+      if (play) {
+        if (!playlist.decks) return setMsgLocal('Go live to play the playlist.');
+        plPlay(track, true);
+        plReorder();
+        renderPlaylist();
+        return;
+      }
+
+      if (track === playlist.current && playlist.playing) plNext(true);
+      if (track === playlist.current) playlist.current = null;
+      URL.revokeObjectURL(track.url);
+      playlist.tracks = playlist.tracks.filter(t => t !== track);
+      playlist.order = playlist.order.filter(t => t !== track);
+      renderPlaylist();
+    });
+
+    btnPlPlay?.addEventListener('click', () => {
+      if (!playlist.decks) return setMsgLocal('Go live to play the playlist.');
+
+      if (playlist.playing) {
+        playlist.decks[playlist.active].el.pause();
+        setNowPlaying(null);
+        playlist.playing = false;
+      } else if (playlist.current && playlist.decks[playlist.active].el.src && !playlist.decks[playlist.active].el.ended) {
+        playlist.decks[playlist.active].el.play().catch(() => { });
+        playlist.playing = true;
+        setNowPlaying(playlist.current.title);
+      } else {
+        plPlay(playlist.order[0], false);
+      }
+      renderPlaylist();
+    });
+
+    btnPlSkip?.addEventListener('click', () => {
+      if (playlist.playing) plNext(true);
+    });
+
+    plShuffleEl?.addEventListener('change', () => {
+      plReorder();
+      renderPlaylist();
+    });
+
+    plCrossfadeEl?.addEventListener('input', () => {
+      if (plCrossfadeValEl) plCrossfadeValEl.textContent = `${plCrossfadeSec()} s`;
+    });
+
+    plLevelEl?.addEventListener('input', () => {
+      if (plLevelValEl) plLevelValEl.textContent = `${Number(plLevelEl.value)}%`;
+      if (playlist.gain) playlist.gain.gain.value = plSliderGain();
+    });
+
+    // ---- Soundboard: per-flat clips (server) -> browser cache -> AudioBuffers -> own fader -> bus ----
+    // Clip URLs carry ?v=created_at, so a replaced pad is a new cache entry.
+    const SB_CACHE = 'audix-soundboard-v1';
+    const SB_KEYS = ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'];
+    const SB_KEY_LABELS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='];
+    const sbPadsEl = byId('sbPads');
+    const sbPadEl = byId('sbPad');
+    const sbFileEl = byId('sbFile');
+    const sbNameEl = byId('sbName');
+    const btnSbUpload = byId('btnSbUpload');
+    const btnSbClear = byId('btnSbClear');
+    const msgSoundboardEl = byId('msgSoundboard');
+    const sbLevelEl = byId('sbLevel');
+    const sbLevelValEl = byId('sbLevelVal');
+
+    const soundboard = {
+      pads: 12,
+      clips: new Map(), // pad -> { id, name, duration_ms, created_at }
+      bytes: new Map(), // clip url -> Promise<ArrayBuffer> (undecoded, survives mixer rebuilds)
+      buffers: new Map(), // pad -> AudioBuffer for the current AudioContext
+      playing: new Map(), // pad -> AudioBufferSourceNode
+      gain: null,
+      maxBytes: 0,
+      maxMs: 0
+    };
+
+    function sbSliderGain() { return (Number(sbLevelEl?.value || 100) / 100); }
+    function sbClipUrl(c) { return `/api/soundboard/clips/${c.id}?v=${c.created_at}`; }
+
+    // Cache API first, network on a miss (falls back to plain fetch where caches is unavailable)
+    function sbFetchClip(url) {
+      if (soundboard.bytes.has(url)) return soundboard.bytes.get(url);
+
+      const p = (async () => {
+        const cache = window.caches ? await caches.open(SB_CACHE).catch(() => null) : null;
+        let res = cache ? await cache.match(url) : null;
+        if (!res) {
+          res = await fetch(url, { credentials: 'include' });
+          if (!res.ok) throw new Error('CLIP_FETCH_FAILED');
+          if (cache) await cache.put(url, res.clone()).catch(() => { });
+        }
+        return res.arrayBuffer();
+      })();
+      p.catch(() => soundboard.bytes.delete(url)); // retry on the next load
+      soundboard.bytes.set(url, p);
+      return p;
+    }
+
+    // Drop cached clips no pad points at any more
+    async function sbPruneCache() {
+      const keep = new Set([...soundboard.clips.values()].map(sbClipUrl));
+      for (const url of [...soundboard.bytes.keys()]) if (!keep.has(url)) soundboard.bytes.delete(url);
+
+      if (!window.caches) return;
+      const cache = await caches.open(SB_CACHE).catch(() => null);
+      if (!cache) return;
+      for (const req of await cache.keys()) {
+        const u = new URL(req.url);
+        if (!keep.has(u.pathname + u.search)) await cache.delete(req);
+      }
+    }
+
+    async function sbDecodePad(pad) {
+      const clip = soundboard.clips.get(pad);
+      if (!clip || !audioCtx) return;
+      const ctx = audioCtx;
+      try {
+        const bytes = await sbFetchClip(sbClipUrl(clip));
+        // decodeAudioData detaches its input, so hand it a copy
+        const buffer = await ctx.decodeAudioData(bytes.slice(0));
+        if (ctx === audioCtx && soundboard.clips.get(pad) === clip) soundboard.buffers.set(pad, buffer);
+      } catch {
+        setMsg(msgSoundboardEl, `Pad ${pad}: could not load "${clip.name || 'clip'}".`, 'err');
+      }
+    }
+
+    function buildSoundboard(chain) {
+      soundboard.gain = audioCtx.createGain();
+      soundboard.gain.gain.value = sbSliderGain();
+      soundboard.gain.connect(chain.bus); // not ducked: jingles sit on top of the voice
+      soundboard.buffers.clear();
+      for (const pad of soundboard.clips.keys()) sbDecodePad(pad);
+    }
+
+    function teardownSoundboard() {
+      soundboard.playing.forEach(src => { try { src.stop(); } catch { } });
+      soundboard.playing.clear();
+      soundboard.buffers.clear();
+      soundboard.gain = null;
+      renderSoundboard();
+    }
+
+    function sbStop(pad) {
+      const src = soundboard.playing.get(pad);
+      if (!src) return;
+      soundboard.playing.delete(pad);
+      try { src.stop(); } catch { }
+      renderSoundboard();
+    }
+
+    // Fire a pad; firing it again while it plays stops it
+    function sbFire(pad) {
+      if (soundboard.playing.has(pad)) return sbStop(pad);
+      if (!soundboard.clips.has(pad)) return;
+      if (!soundboard.gain) return setMsgLocal('Go live to use the soundboard.');
+
+      const buffer = soundboard.buffers.get(pad);
+      if (!buffer) return setMsg(msgSoundboardEl, `Pad ${pad} is still loading.`, 'err');
+
+      const src = audioCtx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(soundboard.gain);
+      src.onended = () => {
+        if (soundboard.playing.get(pad) !== src) return;
+        soundboard.playing.delete(pad);
+        renderSoundboard();
+      };
+      soundboard.playing.set(pad, src);
+      src.start();
+      renderSoundboard();
+    }
+
+    function renderSoundboard() {
+      if (!sbPadsEl) return;
+      const pads = [];
+      for (let pad = 1; pad <= soundboard.pads; pad++) {
+        const c = soundboard.clips.get(pad);
+        pads.push(`
+          <button class="btn sbPad ${soundboard.playing.has(pad) ? 'playing' : ''}" data-sbpad="${pad}" ${c ? '' : 'disabled'}
+            title="${c ? `${esc(c.name || 'Clip')} · ${(c.duration_ms / 1000).toFixed(1)} s · key ${SB_KEY_LABELS[pad - 1]}` : 'Empty'}">
+            ${c ? esc(c.name || `Pad ${pad}`) : '—'}
+            <span class="small">${SB_KEY_LABELS[pad - 1] || ''}</span>
+          </button>
+        `);
+      }
+      sbPadsEl.innerHTML = pads.join('');
+
+      if (sbPadEl) {
+        const sel = sbPadEl.value || '1';
+        sbPadEl.innerHTML = Array.from({ length: soundboard.pads }, (_, i) => {
+          const c = soundboard.clips.get(i + 1);
+          return `<option value="${i + 1}">Pad ${i + 1}${c ? ` · ${esc(c.name || 'clip')}` : ''}</option>`;
+        }).join('');
+        sbPadEl.value = sel;
+      }
+    }
+
+    async function loadSoundboard() {
+      try {
+        const data = await get('/api/soundboard');
+        soundboard.pads = data.pads || soundboard.pads;
+        soundboard.maxBytes = data.max_bytes || 0;
+        soundboard.maxMs = data.max_ms || 0;
+        soundboard.clips = new Map((data.clips || []).map(c => [c.pad, c]));
+        soundboard.buffers.clear();
+        for (const c of soundboard.clips.values()) sbFetchClip(sbClipUrl(c)).catch(() => { });
+        if (audioCtx) for (const pad of soundboard.clips.keys()) sbDecodePad(pad);
+        renderSoundboard();
+        sbPruneCache().catch(() => { });
+      } catch (e) {
+        setMsg(msgSoundboardEl, `Could not load soundboard: ${e.message}`, 'err');
+      }
+    }
+
+    const SB_ERRORS = {
+      CLIP_TOO_LARGE: () => `Clip is too large (max ${Math.round(soundboard.maxBytes / 1024)} KB).`,
+      CLIP_TOO_LONG: () => `Clip is too long (max ${Math.round(soundboard.maxMs / 1000)} s).`,
+      UNSUPPORTED_AUDIO: () => 'Use a WAV, MP3 or Ogg file.'
+    };
+
+    btnSbUpload?.addEventListener('click', async () => {
+      const file = sbFileEl?.files?.[0];
+      const pad = Number(sbPadEl?.value || 1);
+      if (!file) return setMsg(msgSoundboardEl, 'Pick a file first.', 'err');
+      if (soundboard.maxBytes && file.size > soundboard.maxBytes) {
+        return setMsg(msgSoundboardEl, SB_ERRORS.CLIP_TOO_LARGE(), 'err');
+      }
+
+      const name = (sbNameEl?.value || '').trim() || file.name.replace(/\.[^.]+$/, '');
+      btnSbUpload.disabled = true;
+      try {
+        const res = await fetch(`/api/soundboard/${pad}?name=${encodeURIComponent(name)}`, {
+          method: 'POST',
+          credentials: 'include',
+          headers: { 'Content-Type': file.type || 'application/octet-stream' },
+          body: file
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || data?.ok === false) throw new Error(data?.error || 'ERR');
+
+        sbStop(pad);
+        soundboard.clips.set(pad, data.clip);
+        soundboard.buffers.delete(pad);
+        if (audioCtx) sbDecodePad(pad);
+        renderSoundboard();
+        sbPruneCache().catch(() => { });
+
+        if (sbFileEl) sbFileEl.value = '';
+        if (sbNameEl) sbNameEl.value = '';
+        setMsg(msgSoundboardEl, `Pad ${pad} saved.`, 'ok');
+      } catch (e) {
+        setMsg(msgSoundboardEl, SB_ERRORS[e.message]?.() || `Upload failed: ${e.message}`, 'err');
+      } finally {
+        btnSbUpload.disabled = false;
+      }
+    });
+
+    btnSbClear?.addEventListener('click', async () => {
+      const pad = Number(sbPadEl?.value || 1);
+      if (!soundboard.clips.has(pad)) return;
+      if (!confirm(`Clear pad ${pad}?`)) return;
+
+      try {
+        await post(`/api/soundboard/${pad}/delete`);
+        sbStop(pad);
+        soundboard.clips.delete(pad);
+        soundboard.buffers.delete(pad);
+        renderSoundboard();
+        sbPruneCache().catch(() => { });
+        setMsg(msgSoundboardEl, `Pad ${pad} cleared.`, 'ok');
+      } catch (e) {
+        setMsg(msgSoundboardEl, `Clear failed: ${e.message}`, 'err');
+      }
+    });
+
+    sbPadsEl?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-sbpad]');
+      if (btn) sbFire(Number(btn.dataset.sbpad));
+    });
+
+    // Shortcuts only while live, and never while typing
+    window.addEventListener('keydown', (e) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+      const idx = SB_KEYS.indexOf(e.code);
+      if (idx < 0 || idx >= soundboard.pads || !soundboard.gain) return;
+      e.preventDefault();
+      sbFire(idx + 1);
+    });
+
+    sbLevelEl?.addEventListener('input', () => {
+      if (sbLevelValEl) sbLevelValEl.textContent = `${Number(sbLevelEl.value)}%`;
+      if (soundboard.gain) soundboard.gain.gain.value = sbSliderGain();
+    });
+
     let broadcastStartedAt = null;
     let timerInterval = null;
 
@@ -415,34 +1533,47 @@
       micGain.gain.value = micSliderGain();
       sysGain.gain.value = sysSliderGain();
 
+      const chain = buildProcessingChain();
+
       if (micStream) {
         const src = audioCtx.createMediaStreamSource(micStream);
 
-        // analyser for UI meter
+        // analyser for UI meter (pre-gate, also drives the gate)
         micAnalyser = audioCtx.createAnalyser();
         micAnalyser.fftSize = 512;
 
         src.connect(micAnalyser);
-        src.connect(micGain).connect(dest);
+        src.connect(chain.gate).connect(micGain).connect(chain.bus);
+        micSrc = src;
       }
 
       if (sysStream) {
         const src = audioCtx.createMediaStreamSource(sysStream);
-        src.connect(sysGain).connect(dest);
+        src.connect(sysGain).connect(chain.duck);
       }
 
+      buildPlaylistDecks(chain);
+      buildSoundboard(chain);
+
       if (pttEnableEl?.checked) micGain.gain.value = 0; // start muted for PTT
       mixedStream = dest.stream;
     }
 
     function startMicMeter() {
       stopMicMeter();
-      if (!micAnalyser || !micMeterEl) return;
+      if (!micMeterEl || (!micAnalyser && !procNodes)) return;
 
-      const data = new Uint8Array(micAnalyser.frequencyBinCount);
+      const data = micAnalyser ? new Uint8Array(micAnalyser.frequencyBinCount) : null;
 
       const tick = () => {
         try {
+          renderGainReduction();
+          if (!micAnalyser) {
+            // system audio only: the reduction meters still move
+            meterRAF = requestAnimationFrame(tick);
+            return;
+          }
+
           micAnalyser.getByteTimeDomainData(data);
           // compute simple peak
           let peak = 0;
@@ -477,22 +1608,33 @@
       if (meterRAF) cancelAnimationFrame(meterRAF);
       meterRAF = null;
       if (micMeterEl) micMeterEl.style.width = '0%';
+      setGrBar(grGateEl, 0);
+      setGrBar(grCompEl, 0);
+      setGrBar(grLimitEl, 0);
     }
 
 
     function teardownMixerAndStopTracks() {
+      stopRecording();
+
       // Close peer connections
       pcs.forEach(pc => pc.close());
       pcs.clear();
+      closeCohostIn();
 
       // Stop mixed stream tracks (safety)
       if (mixedStream) mixedStream.getTracks().forEach(t => t.stop());
       mixedStream = null;
 
       // Close audio context
+      teardownPlaylistDecks();
+      teardownSoundboard();
+      stopDynamics();
+      procNodes = null;
       if (audioCtx) audioCtx.close().catch(() => { });
       audioCtx = null;
       micAnalyser = null;
+      micSrc = null;
       dest = null;
       micGain = null;
       sysGain = null;
@@ -542,41 +1684,83 @@
     function pttDown() {
       if (!micGain) return;
       if (!pttEnableEl?.checked) return;
+      duck.pttHeld = true;
       micGain.gain.value = micEnableEl?.checked ? micSliderGain() : 0;
     }
     function pttUp() {
+      duck.pttHeld = false;
       if (!micGain) return;
       if (!pttEnableEl?.checked) return;
       micGain.gain.value = 0;
     }
 
-    window.addEventListener('keydown', (e) => { if (e.code === 'Space') pttDown(); });
-    window.addEventListener('keyup', (e) => { if (e.code === 'Space') pttUp(); });
+    // Keys typed into a field (profile, chat, account, report note...) are text, not shortcuts
+    function isTypingTarget(el) {
+      return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+    }
+
+    window.addEventListener('keydown', (e) => { if (e.code === 'Space' && !isTypingTarget(e.target)) pttDown(); });
+    window.addEventListener('keyup', (e) => { if (e.code === 'Space') pttUp(); }); // always release
 
     btnHoldTalk?.addEventListener('pointerdown', () => pttDown());
     btnHoldTalk?.addEventListener('pointerup', () => pttUp());
     btnHoldTalk?.addEventListener('pointercancel', () => pttUp());
     btnHoldTalk?.addEventListener('pointerleave', () => pttUp());
 
+    // Called on the broadcaster, or on a listener the server picked as a relay
     async function onListenerJoin(listenerId) {
-      if (!mixedStream) return;
+      const iceServers = await getIceServers();
+      const source = mixedStream || relayStream; // read after the await: we may have stopped meanwhile
+      if (!source) return;
 
-      const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+      const pc = new RTCPeerConnection({ iceServers });
       pcs.set(listenerId, pc);
 
-      mixedStream.getTracks().forEach(track => pc.addTrack(track, mixedStream));
+      source.getTracks().forEach(track => pc.addTrack(track, source));
 
       pc.onicecandidate = (ev) => {
         if (!ev.candidate) return;
         signalWS?.send(JSON.stringify({ type: 'webrtc:ice', listenerId, candidate: ev.candidate }));
       };
 
+      // 'disconnected' often heals by itself, 'failed' never does
+      let restartTimer = null;
+      pc.restarts = 0;
+      pc.onconnectionstatechange = () => {
+        if (pcs.get(listenerId) !== pc) return;
+        clearTimeout(restartTimer);
+        if (pc.connectionState === 'connected') pc.restarts = 0;
+        if (pc.connectionState === 'failed') restartIce(listenerId, pc);
+        if (pc.connectionState === 'disconnected') {
+          restartTimer = setTimeout(() => restartIce(listenerId, pc), ICE_RESTART_DELAY_MS);
+        }
+      };
+
       const offer = await pc.createOffer({ offerToReceiveAudio: false });
       await pc.setLocalDescription(offer);
 
       signalWS?.send(JSON.stringify({ type: 'webrtc:offer', listenerId, sdp: pc.localDescription }));
     }
 
+    // Fresh offer with new ICE credentials; past ICE_RESTART_MAX the listener re-joins instead
+    const ICE_RESTART_DELAY_MS = 3000;
+    const ICE_RESTART_MAX = 2;
+
+    async function restartIce(listenerId, pc) {
+      if (pcs.get(listenerId) !== pc || pc.signalingState !== 'stable') return;
+      if (pc.restarts >= ICE_RESTART_MAX) return;
+      pc.restarts++;
+
+      try {
+        const iceServers = await getIceServers(); // TURN credentials may have rotated
+        pc.setConfiguration({ ...pc.getConfiguration(), iceServers });
+
+        const offer = await pc.createOffer({ iceRestart: true });
+        await pc.setLocalDescription(offer);
+        signalWS?.send(JSON.stringify({ type: 'webrtc:offer', listenerId, sdp: pc.localDescription, iceRestart: true }));
+      } catch { }
+    }
+
     function onListenerLeave(listenerId) {
       const pc = pcs.get(listenerId);
       if (pc) pc.close();
@@ -597,27 +1781,98 @@
 
       await ensureSignalWS('listener');
 
-      listenPC = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+      await createListenPC(targetFlat);
+
+      // relay: true = this device may forward the stream to a few other listeners
+      signalWS?.send(JSON.stringify({ type: 'listen:join', targetFlat, relay: true }));
+      // ✅ Update presence state so /api/live + admin dashboard show listener counts
+      if (window.audixWS && window.audixWS.readyState === 1) {
+        window.audixWS.send(JSON.stringify({ type: 'listen:start', targetFlat }));
+      }
+      if (listenStatusEl) listenStatusEl.textContent = `Listening to ${targetFlat}`;
+      showListenControls(targetFlat);
+    }
+
+
+    // Feed from our parent (broadcaster or relay); rebuilt when the server re-homes us
+    async function createListenPC(targetFlat) {
+      const iceServers = await getIceServers();
+      if (listenPC) listenPC.close();
+      const pc = new RTCPeerConnection({ iceServers });
+      listenPC = pc;
+
+      pc.ontrack = (ev) => {
+        relayStream = ev.streams[0] || new MediaStream([ev.track]);
+        if (player) player.srcObject = relayStream;
+        startListenMeter(relayStream);
+
+        // keep our own relay children on the new feed without renegotiating
+        pcs.forEach(child => {
+          child.getSenders().forEach(sender => {
+            if (sender.track?.kind === ev.track.kind) sender.replaceTrack(ev.track).catch(() => { });
+          });
+        });
+      };
+
+      pc.onconnectionstatechange = () => {
+        if (pc !== listenPC) return;
+
+        if (pc.connectionState === 'connected') {
+          clearTimeout(rejoin.timer);
+          rejoin.timer = null;
+          rejoin.attempt = 0;
+          if (listenStatusEl) listenStatusEl.textContent = `Listening to ${targetFlat}`;
+          signalWS?.send(JSON.stringify({ type: 'relay:ready' }));
+          return;
+        }
 
-      listenPC.ontrack = (ev) => {
-        if (player) player.srcObject = ev.streams[0];
+        if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
+          if (listenStatusEl) listenStatusEl.textContent = `Reconnecting to ${targetFlat}…`;
+          scheduleRejoin();
+        }
       };
 
-      listenPC.onicecandidate = (ev) => {
+      pc.onicecandidate = (ev) => {
         if (!ev.candidate) return;
         signalWS?.send(JSON.stringify({ type: 'webrtc:ice', broadcasterFlat: targetFlat, candidate: ev.candidate }));
       };
 
-      signalWS?.send(JSON.stringify({ type: 'listen:join', targetFlat }));
-      // ✅ Update presence state so /api/live + admin dashboard show listener counts
-      if (window.audixWS && window.audixWS.readyState === 1) {
-        window.audixWS.send(JSON.stringify({ type: 'listen:start', targetFlat }));
-      }
-      if (listenStatusEl) listenStatusEl.textContent = `Listening to ${targetFlat}`;
+      return pc;
+    }
+
+    // Listener recovery: give the sender's ICE restart a chance, then re-join with backoff
+    const REJOIN_BASE_MS = 8000;
+    const REJOIN_MAX_MS = 60000;
+    const rejoin = { timer: null, attempt: 0 };
+
+    function scheduleRejoin() {
+      if (rejoin.timer || !listeningTo) return;
+      const delay = Math.min(REJOIN_BASE_MS * 2 ** rejoin.attempt, REJOIN_MAX_MS);
+      rejoin.timer = setTimeout(rejoinListening, delay);
     }
 
+    async function rejoinListening() {
+      rejoin.timer = null;
+      const targetFlat = listeningTo;
+      if (!targetFlat || listenPC?.connectionState === 'connected') return;
+
+      rejoin.attempt++;
+      try {
+        await ensureSignalWS('listener');
+        if (listeningTo !== targetFlat) return;
+        await createListenPC(targetFlat);
+        signalWS?.send(JSON.stringify({ type: 'listen:join', targetFlat, relay: true }));
+      } catch { }
+
+      // checked again after the next delay; a connected PC ends the loop
+      scheduleRejoin();
+    }
 
     async function stopListening() {
+      clearTimeout(rejoin.timer);
+      rejoin.timer = null;
+      rejoin.attempt = 0;
+
       if (signalWS && signalWS.readyState === 1 && listeningTo) {
         signalWS.send(JSON.stringify({ type: 'listen:leave' }));
       }
@@ -631,13 +1886,306 @@
         listenPC.close();
         listenPC = null;
       }
+
+      // relay children we were feeding (the server re-homes them)
+      if (state.myMode !== 'broadcasting') {
+        pcs.forEach(pc => pc.close());
+        pcs.clear();
+      }
+      relayStream = null;
+
+      closeChat(listeningTo);
+      stopCohostOut();
+      stage.handRaised = false;
       listeningTo = null;
       if (player) player.srcObject = null;
+      hideListenControls();
+    }
+
+    // ---- Listener controls: volume/mute, output device, level of the incoming stream ----
+    // Prefs live in localStorage per station: output device ids only mean something on this browser.
+    const listenCtlEl = byId('listenCtl');
+    const btnListenMute = byId('btnListenMute');
+    const listenVolumeEl = byId('listenVolume');
+    const listenVolumeValEl = byId('listenVolumeVal');
+    const listenOutputEl = byId('listenOutput');
+    const listenMeterEl = byId('listenMeter');
+    const listenSignalEl = byId('listenSignal');
+    const CAN_PICK_OUTPUT = !!player && typeof player.setSinkId === 'function';
+    const LISTEN_SILENT_MS = 4000;
+
+    const listenMeter = { ctx: null, src: null, analyser: null, raf: null, lastSoundAt: 0 };
+    let listenPrefs = null; // { volume, muted, sinkId } for the station we're on
+
+    function listenPrefsKey(flat) { return `audix.listen.${flat}`; }
+
+    function loadListenPrefs(flat) {
+      let saved = {};
+      try { saved = JSON.parse(localStorage.getItem(listenPrefsKey(flat)) || '{}') || {}; } catch { }
+      const volume = Number(saved.volume);
+      return {
+        volume: Number.isFinite(volume) ? Math.min(100, Math.max(0, volume)) : 100,
+        muted: saved.muted === true,
+        sinkId: typeof saved.sinkId === 'string' ? saved.sinkId : ''
+      };
+    }
+
+    function saveListenPrefs() {
+      if (!listeningTo || !listenPrefs) return;
+      try { localStorage.setItem(listenPrefsKey(listeningTo), JSON.stringify(listenPrefs)); } catch { }
+    }
+
+    function renderListenControls() {
+      if (!listenPrefs) return;
+      if (listenVolumeEl) listenVolumeEl.value = String(listenPrefs.volume);
+      if (listenVolumeValEl) listenVolumeValEl.textContent = `${listenPrefs.volume}%`;
+      if (btnListenMute) btnListenMute.textContent = listenPrefs.muted ? 'Unmute' : 'Mute';
+    }
+
+    function applyListenVolume() {
+      if (!player || !listenPrefs) return;
+      player.volume = listenPrefs.volume / 100;
+      player.muted = listenPrefs.muted;
+    }
+
+    // Saved device missing (unplugged, or ids reset after clearing site data): play on the default
+    async function applyListenOutput() {
+      if (!CAN_PICK_OUTPUT || !listenPrefs) return;
+      const available = [...(listenOutputEl?.options || [])].some(o => o.value === listenPrefs.sinkId);
+      const sinkId = available ? listenPrefs.sinkId : '';
+      if (listenOutputEl) listenOutputEl.value = sinkId;
+      if (player.sinkId === sinkId) return;
+      try {
+        await player.setSinkId(sinkId);
+      } catch (e) {
+        setMsgLocal(`Output device failed: ${e.message}`);
+      }
+    }
+
+    async function refreshListenOutputs() {
+      if (!CAN_PICK_OUTPUT || !listenOutputEl || !navigator.mediaDevices?.enumerateDevices) return;
+      let outputs = [];
+      try {
+        outputs = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'audiooutput' && d.deviceId !== 'default');
+      } catch { }
+
+      // labels stay empty until the page has had mic permission
+      listenOutputEl.innerHTML = [
+        `<option value="">Default output</option>`,
+        ...outputs.map((d, i) => `<option value="${esc(d.deviceId)}">${esc(d.label || `Output ${i + 1}`)}</option>`)
+      ].join('');
+      listenOutputEl.style.display = outputs.length ? '' : 'none';
+      await applyListenOutput();
+    }
+
+    function showListenControls(flat) {
+      listenPrefs = loadListenPrefs(flat);
+      renderListenControls();
+      applyListenVolume();
+      if (listenCtlEl) listenCtlEl.style.display = '';
+      refreshListenOutputs();
+    }
+
+    function hideListenControls() {
+      stopListenMeter();
+      listenPrefs = null;
+      if (listenCtlEl) listenCtlEl.style.display = 'none';
+    }
+
+    // Reads the remote stream itself (pre-volume), so a muted player still shows whether the host is sending
+    function startListenMeter(stream) {
+      stopListenMeter();
+      if (!listenMeterEl || !stream.getAudioTracks().length) return;
+
+      try {
+        if (!listenMeter.ctx) listenMeter.ctx = new (window.AudioContext || window.webkitAudioContext)();
+        listenMeter.ctx.resume().catch(() => { });
+        listenMeter.src = listenMeter.ctx.createMediaStreamSource(stream);
+        listenMeter.analyser = listenMeter.ctx.createAnalyser();
+        listenMeter.analyser.fftSize = 512;
+        listenMeter.src.connect(listenMeter.analyser); // not to destination: the <audio> plays it
+      } catch {
+        return;
+      }
+
+      const data = new Uint8Array(listenMeter.analyser.frequencyBinCount);
+      listenMeter.lastSoundAt = Date.now();
+
+      const tick = () => {
+        listenMeter.analyser.getByteTimeDomainData(data);
+        let peak = 0;
+        for (let i = 0; i < data.length; i++) {
+          const v = Math.abs(data[i] - 128);
+          if (v > peak) peak = v;
+        }
+
+        const pct = Math.min(100, Math.round((peak / 128) * 100));
+        listenMeterEl.style.width = `${pct}%`;
+        if (pct > 2) listenMeter.lastSoundAt = Date.now();
+
+        if (listenSignalEl) {
+          const connected = listenPC?.connectionState === 'connected';
+          const silentFor = Date.now() - listenMeter.lastSoundAt;
+          listenSignalEl.textContent = !connected ? 'Signal: Lost' : silentFor > LISTEN_SILENT_MS ? 'Signal: Silent' : 'Signal: OK';
+        }
+
+        listenMeter.raf = requestAnimationFrame(tick);
+      };
+      listenMeter.raf = requestAnimationFrame(tick);
+    }
+
+    function stopListenMeter() {
+      if (listenMeter.raf) cancelAnimationFrame(listenMeter.raf);
+      listenMeter.raf = null;
+      listenMeter.src?.disconnect();
+      listenMeter.src = null;
+      listenMeter.analyser = null;
+      if (listenMeterEl) listenMeterEl.style.width = '0%';
+      if (listenSignalEl) listenSignalEl.textContent = 'Signal: -';
+    }
+
+    listenVolumeEl?.addEventListener('input', () => {
+      if (!listenPrefs) return;
+      listenPrefs.volume = Number(listenVolumeEl.value);
+      if (listenPrefs.volume > 0) listenPrefs.muted = false;
+      renderListenControls();
+      applyListenVolume();
+      saveListenPrefs();
+    });
+
+    btnListenMute?.addEventListener('click', () => {
+      if (!listenPrefs) return;
+      listenPrefs.muted = !listenPrefs.muted;
+      renderListenControls();
+      applyListenVolume();
+      saveListenPrefs();
+    });
+
+    listenOutputEl?.addEventListener('change', async () => {
+      if (!listenPrefs) return;
+      listenPrefs.sinkId = listenOutputEl.value;
+      saveListenPrefs();
+      await applyListenOutput();
+    });
+
+    navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+      if (listenPrefs) refreshListenOutputs();
+    });
+
+    // ---- Co-host (listener side): raise hand, then send mic back on a second peer connection ----
+    const stage = { handRaised: false, onStage: false };
+    let cohostOutPC = null;
+    let cohostMicStream = null;
+
+    function sendPresence(obj) {
+      if (window.audixWS && window.audixWS.readyState === 1) window.audixWS.send(JSON.stringify(obj));
+    }
+
+    async function startCohostOut(targetFlat) {
+      stopCohostOut();
+      stage.onStage = true;
+      stage.handRaised = false;
+
+      try {
+        cohostMicStream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+      } catch (e) {
+        setMsgLocal(`Mic blocked: ${e.message}`);
+        sendPresence({ type: 'hand:lower', targetFlat });
+        stage.onStage = false;
+        applyStations();
+        return;
+      }
+
+      const iceServers = await getIceServers();
+      cohostOutPC = new RTCPeerConnection({ iceServers });
+      cohostMicStream.getTracks().forEach(t => cohostOutPC.addTrack(t, cohostMicStream));
+
+      cohostOutPC.onicecandidate = (ev) => {
+        if (!ev.candidate) return;
+        signalWS?.send(JSON.stringify({ type: 'cohost:ice', broadcasterFlat: targetFlat, candidate: ev.candidate }));
+      };
+
+      const offer = await cohostOutPC.createOffer({ offerToReceiveAudio: false });
+      await cohostOutPC.setLocalDescription(offer);
+      signalWS?.send(JSON.stringify({ type: 'cohost:offer', broadcasterFlat: targetFlat, sdp: cohostOutPC.localDescription }));
+
+      setMsgLocal(`You are on air with ${targetFlat}.`);
+      applyStations();
+    }
+
+    function stopCohostOut() {
+      stage.onStage = false;
+      if (cohostOutPC) cohostOutPC.close();
+      cohostOutPC = null;
+      if (cohostMicStream) cohostMicStream.getTracks().forEach(t => t.stop());
+      cohostMicStream = null;
+    }
+
+    async function onCohostAnswer(msg) {
+      if (!cohostOutPC) return;
+      await cohostOutPC.setRemoteDescription(new RTCSessionDescription(msg.sdp));
+    }
+
+    // ---- Co-host (broadcaster side): mix the returned mic into dest so every listener hears it ----
+    let cohostIn = null; // { pc, listenerId, flat_id, src, gain, sink }
+
+    async function onCohostOffer(msg) {
+      if (!audioCtx || !dest) return;
+      const iceServers = await getIceServers();
+      closeCohostIn();
+
+      const pc = new RTCPeerConnection({ iceServers });
+      cohostIn = { pc, listenerId: msg.listenerId, flat_id: msg.flat_id, src: null, gain: null, sink: null };
+
+      pc.onicecandidate = (ev) => {
+        if (!ev.candidate) return;
+        signalWS?.send(JSON.stringify({ type: 'cohost:ice', listenerId: msg.listenerId, candidate: ev.candidate }));
+      };
+
+      pc.ontrack = (ev) => {
+        if (!cohostIn || cohostIn.pc !== pc || cohostIn.src) return;
+        const stream = ev.streams[0] || new MediaStream([ev.track]);
+
+        // Chrome only feeds remote WebRTC audio into WebAudio while an element plays it
+        cohostIn.sink = new Audio();
+        cohostIn.sink.muted = true;
+        cohostIn.sink.srcObject = stream;
+
+        cohostIn.src = audioCtx.createMediaStreamSource(stream);
+        cohostIn.gain = audioCtx.createGain();
+        cohostIn.gain.gain.value = micSliderGain();
+        cohostIn.src.connect(cohostIn.gain);
+        cohostIn.gain.connect(procNodes?.bus || dest); // to listeners, through the processing chain
+        cohostIn.gain.connect(audioCtx.destination); // so the host hears the guest
+      };
+
+      await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp));
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      signalWS?.send(JSON.stringify({ type: 'cohost:answer', listenerId: msg.listenerId, sdp: pc.localDescription }));
+    }
+
+    async function onCohostIce(msg) {
+      const pc = msg.listenerId ? (cohostIn?.listenerId === msg.listenerId ? cohostIn.pc : null) : cohostOutPC;
+      if (!pc || !msg.candidate) return;
+      try { await pc.addIceCandidate(new RTCIceCandidate(msg.candidate)); } catch { }
+    }
+
+    function closeCohostIn() {
+      if (!cohostIn) return;
+      try { cohostIn.src?.disconnect(); } catch { }
+      try { cohostIn.gain?.disconnect(); } catch { }
+      if (cohostIn.sink) cohostIn.sink.srcObject = null;
+      cohostIn.pc.close();
+      cohostIn = null;
     }
 
     async function onOfferFromBroadcaster(msg) {
       if (!listenPC || !listeningTo) return;
 
+      // a new session from our parent (not an ICE restart) needs a fresh peer connection
+      if (!msg.iceRestart && listenPC.remoteDescription) await createListenPC(listeningTo);
+
       await listenPC.setRemoteDescription(new RTCSessionDescription(msg.sdp));
       const answer = await listenPC.createAnswer();
       await listenPC.setLocalDescription(answer);
@@ -715,6 +2263,9 @@
       if (sysEnableEl) sysEnableEl.disabled = isLive;
       if (btnSysPick) btnSysPick.disabled = isLive;
       if (pttEnableEl) pttEnableEl.disabled = isLive;
+      if (visibilityEl) visibilityEl.disabled = isLive;
+      if (allowListEl) allowListEl.disabled = isLive;
+      if (recordEl) recordEl.disabled = isLive;
 
       // also visually dim the row
       const srcRow = document.querySelector('.sourceRow');
@@ -728,11 +2279,22 @@
       }
     }
 
+    const CATEGORY_LABEL = {
+      MUSIC: 'Music',
+      TALK: 'Talk',
+      PRAYER: 'Prayer',
+      KIDS: 'Kids',
+      NEWS: 'News',
+      OTHER: 'Other'
+    };
+
     function renderStations(stations) {
       if (!listEl) return;
 
       const others = (stations || []).filter(s => s.id !== state.myFlat);
 
+      const liveElsewhere = state.myMode !== 'broadcasting' && (stations || []).some(s => s.id === state.myFlat);
+
       const youLiveRow = state.myMode === 'broadcasting'
         ? `
           <div class="item" style="display:flex; justify-content:space-between; gap:12px; border:1px solid #eee;">
@@ -743,15 +2305,33 @@
             <div><b>LIVE</b></div>
           </div>
         `
-        : '';
+        : liveElsewhere
+          ? `
+          <div class="item" style="display:flex; justify-content:space-between; gap:12px; align-items:center; border:1px solid #eee;">
+            <div>
+              <b>${state.myFlat}</b>
+              <div class="small">Your flat is live on another device. Take over to continue the show here; listeners stay connected.</div>
+            </div>
+            <button class="btn" data-takeover="1" ${takeoverPending ? 'disabled' : ''}>${takeoverPending ? 'Waiting...' : 'Take over'}</button>
+          </div>
+        `
+          : '';
 
       if (!others.length) {
         listEl.innerHTML = `${youLiveRow}<div class="item">No other stations are live right now.</div>`;
       } else {
         listEl.innerHTML = youLiveRow + others.map(s => `
-          <div class="item" style="display:flex; justify-content:space-between; gap:12px; align-items:center;">
+          <div class="item" style="display:flex; justify-content:space-between; gap:12px; align-items:center;${s.profile?.color ? ` border-left:4px solid ${esc(s.profile.color)};` : ''}">
             <div>
-              <b>${s.name}</b>
+              <b>${s.profile?.emoji ? `${esc(s.profile.emoji)} ` : ''}${esc(s.name)}</b>
+              ${s.profile?.category ? `<span class="audixTag">${esc(CATEGORY_LABEL[s.profile.category] || s.profile.category)}</span>` : ``}
+              ${s.visibility === 'APPROVAL' ? `<span class="audixTag">Approval needed</span>` : ``}
+              ${s.visibility === 'PRIVATE' ? `<span class="audixTag">Private</span>` : ``}
+              ${s.recording ? `<span class="audixTag">REC</span>` : ``}
+              ${s.reconnecting ? `<span class="audixTag">Reconnecting…</span>` : ``}
+              ${s.profile?.title ? `<div class="small">${esc(s.id)}</div>` : ``}
+              ${s.profile?.description ? `<div class="small stationDesc">${esc(s.profile.description)}</div>` : ``}
+              ${s.nowPlaying ? `<div class="small">♪ ${esc(s.nowPlaying)}</div>` : ``}
               <div class="small">
                 ${s.listeners} listening
                 ${listeningTo === s.id ? `<span class="audixTag audixTagOn">You are listening</span>` : ``}
@@ -759,11 +2339,32 @@
             </div>
             <div style="display:flex; gap:8px;">
               <button class="btn" data-listen="${s.id}">
-                ${listeningTo === s.id ? 'Listening' : 'Listen'}
+                ${listeningTo === s.id ? 'Listening' : waitingFor === s.id ? 'Waiting...' : 'Listen'}
               </button>
               ${listeningTo === s.id ? `<button class="btn" data-stoplisten="1">Stop</button>` : ``}
+              ${listeningTo === s.id ? `<button class="btn" data-hand="${s.id}">${stage.onStage ? 'Leave stage' : stage.handRaised ? 'Lower hand' : 'Raise hand'}</button>` : ``}
+              <button class="btn" data-report="${s.id}">Report</button>
             </div>
           </div>
+          ${reportingId === s.id ? `
+            <div class="item reportForm" style="border:1px solid #eee;">
+              <div class="row" style="gap:8px;">
+                <select id="reportReason">
+                  <option value="ABUSE">Abusive language</option>
+                  <option value="INAPPROPRIATE">Inappropriate content</option>
+                  <option value="SPAM">Spam / advertising</option>
+                  <option value="NOISE">Noise / disturbance</option>
+                  <option value="OTHER">Other</option>
+                </select>
+                <input id="reportNote" placeholder="What happened? (optional)" maxlength="500" />
+                <button class="btn" data-reportsend="${s.id}">Send</button>
+                <button class="btn" data-reportcancel="1">Cancel</button>
+              </div>
+              <div class="small" style="margin-top:6px; opacity:.85;">
+                Admin will review this report with a snapshot of the station right now.
+              </div>
+            </div>
+          ` : ``}
         `).join('');
       }
 
@@ -772,17 +2373,84 @@
         btn.addEventListener('click', async () => {
           const target = btn.getAttribute('data-listen');
           if (!target) return;
+
+          // ask first; listen:approved starts playback
+          const st = stationsById.get(target);
+          if (st?.visibility === 'APPROVAL' && !approvedStations.has(target)) {
+            if (!window.audixWS || window.audixWS.readyState !== 1) return;
+            waitingFor = target;
+            window.audixWS.send(JSON.stringify({ type: 'listen:request', targetFlat: target }));
+            setMsgLocal(`Asking ${target} to let you in...`);
+            applyStations();
+            return;
+          }
+
           await startListening(target);
           setMsgLocal(`Listening to ${target}`);
-          refreshStations();
+          applyStations();
         });
       });
 
+      listEl.querySelectorAll('button[data-takeover]').forEach(btn => {
+        btn.addEventListener('click', () => startTakeover());
+      });
+
       listEl.querySelectorAll('button[data-stoplisten]').forEach(btn => {
         btn.addEventListener('click', async () => {
           await stopListening();
           setMsgLocal('Stopped listening.');
-          refreshStations();
+          applyStations();
+        });
+      });
+
+      listEl.querySelectorAll('button[data-hand]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const targetFlat = btn.getAttribute('data-hand');
+          if (stage.onStage || stage.handRaised) {
+            sendPresence({ type: 'hand:lower', targetFlat });
+            stopCohostOut();
+            stage.handRaised = false;
+            setMsgLocal(stage.onStage ? 'You left the stage.' : 'Hand lowered.');
+          } else {
+            sendPresence({ type: 'hand:raise', targetFlat });
+            stage.handRaised = true;
+            setMsgLocal(`Hand raised. Waiting for ${targetFlat}...`);
+          }
+          applyStations();
+        });
+      });
+
+      listEl.querySelectorAll('button[data-report]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const target = btn.getAttribute('data-report');
+          reportingId = reportingId === target ? null : target;
+          renderStations(stations);
+        });
+      });
+
+      listEl.querySelectorAll('button[data-reportcancel]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          reportingId = null;
+          applyStations();
+        });
+      });
+
+      listEl.querySelectorAll('button[data-reportsend]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const stationId = btn.getAttribute('data-reportsend');
+          try {
+            await post('/api/report', {
+              stationId,
+              reason: byId('reportReason')?.value || 'OTHER',
+              note: (byId('reportNote')?.value || '').trim()
+            });
+            setMsgLocal(`Report on ${stationId} sent to admin.`);
+          } catch (e) {
+            if (e.message === 'ALREADY_REPORTED') setMsgLocal(`You already reported ${stationId} recently.`);
+            else setMsgLocal(`Report failed: ${e.message}`);
+          }
+          reportingId = null;
+          applyStations();
         });
       });
     }
@@ -807,136 +2475,1129 @@
     });
 
 
-    // 1) Must be logged in
-    try {
-      const data = await get('/api/live');
-      state.myFlat = data.flat_id;
-      renderSelf();
-    } catch {
-      setMsgLocal('Session expired. Please login again.');
-      window.location.href = '/login';
-      return;
-    }
+    // ---- Account panel ----
+    const accInfoEl = byId('accountInfo');
+    const accMsgEl = byId('msgAccount');
+    const accCurPinEl = byId('acc_cur_pin4');
+    const accCurPassEl = byId('acc_cur_pass');
+    const accNewPinEl = byId('acc_new_pin4');
+    const accNewPassEl = byId('acc_new_pass');
+    const accSignoutEl = byId('acc_signout');
+    const btnAccPin = byId('btnAccPin');
+    const btnAccPass = byId('btnAccPass');
+    const btnAccSignout = byId('btnAccSignout');
 
-    // 2) Presence WS
-    try {
-      const proto = location.protocol === 'https:' ? 'wss' : 'ws';
-      window.audixWS = new WebSocket(`${proto}://${location.host}/ws/presence`);
+    async function refreshAccount() {
+      try {
+        const a = await get('/api/account');
+        if (accInfoEl) {
+          accInfoEl.textContent = `${a.hasPassword ? 'PIN + password' : 'PIN only'} · ${a.sessions} signed-in device(s)`;
+        }
+      } catch { }
+    }
 
-      window.audixWS.onopen = () => {
-        state.wsReady = true;
-        window.audixWS.send(JSON.stringify({ type: 'identify', flat_id: state.myFlat }));
-        renderSelf();
+    function accCurrent() {
+      return {
+        current_pin4: (accCurPinEl?.value || '').trim(),
+        current_password: (accCurPassEl?.value || '').trim(),
+        signout_others: !!accSignoutEl?.checked
       };
+    }
 
-      window.audixWS.onclose = () => {
-        state.wsReady = false;
-        state.myMode = 'idle';
-        renderSelf();
-      };
-      window.audixWS.onmessage = (ev) => {
-        let msg;
-        try { msg = JSON.parse(ev.data); } catch { return; }
-
-        if (msg.type === 'broadcast:denied' && msg.reason === 'ALREADY_BROADCASTING') {
-          // revert UI + stop capture to avoid confusion
-          stopStatusLoop();
-          teardownMixerAndStopTracks();
-          stopMicMeter();
-          stopTimer();
-
-          state.myMode = 'idle';
-          setMsgLocal('Broadcast denied: this flat is already live on another device.');
-          renderSelf();
-        }
-      };
+    function accDone(text, out) {
+      if (accCurPinEl) accCurPinEl.value = '';
+      if (accCurPassEl) accCurPassEl.value = '';
+      if (accNewPinEl) accNewPinEl.value = '';
+      if (accNewPassEl) accNewPassEl.value = '';
+      const extra = out?.signedOut ? ` Signed out ${out.signedOut} other device(s).` : '';
+      setMsg(accMsgEl, text + extra, 'ok');
+      refreshAccount();
+    }
 
-    } catch {
-      state.wsReady = false;
-      renderSelf();
+    function accFail(btn, e) {
+      const wait = e.data?.retry_after;
+      if (e.message === 'TOO_MANY_ATTEMPTS') startLockout(btn, accMsgEl, wait, 'Too many failed attempts.');
+      else if (wait) startLockout(btn, accMsgEl, wait, 'Current PIN or password is wrong.');
+      else setMsg(accMsgEl, `Error: ${e.message}`, 'err');
     }
 
-    // 3) Broadcast buttons
-    btnStart?.addEventListener('click', async () => {
-      if (state.busy) return;
-      if (!window.audixWS || window.audixWS.readyState !== 1) return;
+    btnAccPin?.addEventListener('click', async () => {
+      setMsg(accMsgEl, 'Changing PIN...');
+      try {
+        const out = await post('/api/account/pin', { ...accCurrent(), new_pin4: (accNewPinEl?.value || '').trim() });
+        accDone('PIN changed.', out);
+      } catch (e) {
+        accFail(btnAccPin, e);
+      }
+    });
 
+    btnAccPass?.addEventListener('click', async () => {
+      const new_password = (accNewPassEl?.value || '').trim();
+      setMsg(accMsgEl, new_password ? 'Saving password...' : 'Removing password...');
       try {
-        state.busy = true;
+        const out = await post('/api/account/password', { ...accCurrent(), new_password });
+        accDone(out.hasPassword ? 'Password saved.' : 'Password removed. Login now needs only your PIN.', out);
+      } catch (e) {
+        accFail(btnAccPass, e);
+      }
+    });
 
-        // stop listening when going live
-        await stopListening();
+    btnAccSignout?.addEventListener('click', async () => {
+      setMsg(accMsgEl, 'Signing out other devices...');
+      try {
+        const out = await post('/api/account/signout-others', {});
+        setMsg(accMsgEl, `Signed out ${out.signedOut} other device(s).`, 'ok');
+        refreshAccount();
+      } catch (e) {
+        setMsg(accMsgEl, `Error: ${e.message}`, 'err');
+      }
+    });
 
-        if (micEnableEl?.checked) await ensureMic();
-        if (sysEnableEl?.checked && !sysStream) {
-          setMsgLocal('Pick system audio first (button).');
-          return;
-        }
+    // ---- Station chat (presence socket; shown while listening or live) ----
+    const chatBoxEl = byId('chatBox');
+    const chatTitleEl = byId('chatTitle');
+    const chatLogEl = byId('chatLog');
+    const chatInputEl = byId('chatInput');
+    const btnChatSend = byId('btnChatSend');
+    const chatMsgEl = byId('msgChat');
+
+    const chat = { station: null, messages: [], muted: new Set() };
+
+    const CHAT_ERROR_TEXT = {
+      MUTED: 'The broadcaster has muted you in this chat.',
+      RATE_LIMITED: 'Slow down a little.',
+      TOO_LONG: 'Message is too long.',
+      NOT_IN_STATION: 'Join the station to chat.',
+      STATION_OFFLINE: 'Station is offline.'
+    };
 
-        buildMixer();
-        startMicMeter();
-        setGainsFromUI();
+    function openChat(stationId, messages, muted) {
+      chat.station = stationId;
+      chat.messages = [...(messages || [])];
+      chat.muted = new Set(muted || []);
+      if (chatBoxEl) chatBoxEl.style.display = '';
+      if (chatTitleEl) chatTitleEl.textContent = stationId === state.myFlat ? 'Chat (your station)' : `Chat: ${stationId}`;
+      setMsg(chatMsgEl, '');
+      renderChat();
+    }
 
-        await ensureSignalWS('broadcaster');
+    function closeChat(stationId) {
+      if (!stationId || chat.station !== stationId) return;
+      chat.station = null;
+      chat.messages = [];
+      chat.muted.clear();
+      if (chatBoxEl) chatBoxEl.style.display = 'none';
+      if (chatLogEl) chatLogEl.innerHTML = '';
+    }
 
-        window.audixWS.send(JSON.stringify({ type: 'broadcast:start' }));
-        setMsgLocal('Starting broadcast...');
-        renderSelf();
+    function renderChat() {
+      if (!chatLogEl) return;
+      const isOwner = chat.station === state.myFlat;
+
+      chatLogEl.innerHTML = chat.messages.map(m => `
+        <div class="chatMsg">
+          <div>
+            <b>${esc(m.flat_id)}</b>
+            ${chat.muted.has(m.flat_id) ? `<span class="audixTag">Muted</span>` : ``}
+            <span class="small">${new Date(m.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+            <div>${esc(m.text)}</div>
+          </div>
+          ${isOwner && m.flat_id !== state.myFlat ? `
+            <div class="chatActions">
+              <button class="btn ghost" data-chatdel="${esc(m.id)}">Delete</button>
+              <button class="btn ghost" data-chatmute="${esc(m.flat_id)}">${chat.muted.has(m.flat_id) ? 'Unmute' : 'Mute'}</button>
+            </div>
+          ` : ``}
+        </div>
+      `).join('') || '<div class="small" style="opacity:.85;">No messages yet.</div>';
 
-        startStatusLoop();
+      chatLogEl.scrollTop = chatLogEl.scrollHeight;
 
-        // optimistic UI, but delay slightly so denial can arrive first
-        setTimeout(() => {
-          if (state.myMode !== 'idle') return; // if denial already set idle
-          state.myMode = 'broadcasting';
-          setMsgLocal('You are live now.');
-          renderSelf();
-        }, 250);
+      chatLogEl.querySelectorAll('button[data-chatdel]').forEach(btn => {
+        btn.addEventListener('click', () => sendChat({ type: 'chat:delete', id: btn.getAttribute('data-chatdel') }));
+      });
 
-      } catch (e) {
-        setMsgLocal(`Broadcast failed: ${e.message}`);
-      } finally {
-        setTimeout(() => { state.busy = false; }, 300);
-      }
-    });
+      chatLogEl.querySelectorAll('button[data-chatmute]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const flat_id = btn.getAttribute('data-chatmute');
+          sendChat({ type: chat.muted.has(flat_id) ? 'chat:unmute' : 'chat:mute', flat_id });
+        });
+      });
+    }
 
-    btnStop?.addEventListener('click', async () => {
-      if (state.busy) return;
-      if (!window.audixWS || window.audixWS.readyState !== 1) return;
+    function sendChat(obj) {
+      if (!chat.station || !window.audixWS || window.audixWS.readyState !== 1) return;
+      window.audixWS.send(JSON.stringify({ ...obj, stationId: chat.station }));
+    }
 
-      state.busy = true;
+    function submitChat() {
+      const text = (chatInputEl?.value || '').trim();
+      if (!text) return;
+      setMsg(chatMsgEl, '');
+      sendChat({ type: 'chat:send', text });
+      if (chatInputEl) chatInputEl.value = '';
+    }
 
-      window.audixWS.send(JSON.stringify({ type: 'broadcast:stop' }));
+    btnChatSend?.addEventListener('click', submitChat);
+    chatInputEl?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submitChat();
+    });
+
+    // ---- Station profile (editable before going live) ----
+    const profTitleEl = byId('prof_title');
+    const profDescEl = byId('prof_desc');
+    const profCatEl = byId('prof_category');
+    const profEmojiEl = byId('prof_emoji');
+    const profColorEl = byId('prof_color');
+    const profColorOnEl = byId('prof_color_on');
+    const btnProfSave = byId('btnProfSave');
+    const profMsgEl = byId('msgProfile');
+
+    async function loadProfile() {
+      try {
+        const { profile } = await get('/api/profile');
+        if (!profile) return;
+        if (profTitleEl) profTitleEl.value = profile.title || '';
+        if (profDescEl) profDescEl.value = profile.description || '';
+        if (profCatEl) profCatEl.value = profile.category || 'OTHER';
+        if (profEmojiEl) profEmojiEl.value = profile.emoji || '';
+        if (profColorOnEl) profColorOnEl.checked = !!profile.color;
+        if (profColorEl && profile.color) profColorEl.value = profile.color;
+      } catch { }
+    }
+
+    btnProfSave?.addEventListener('click', async () => {
+      setMsg(profMsgEl, 'Saving profile...');
+      try {
+        await post('/api/profile', {
+          title: (profTitleEl?.value || '').trim(),
+          description: (profDescEl?.value || '').trim(),
+          category: profCatEl?.value || 'OTHER',
+          emoji: (profEmojiEl?.value || '').trim(),
+          color: profColorOnEl?.checked ? (profColorEl?.value || '') : ''
+        });
+        setMsg(profMsgEl, state.myMode === 'broadcasting' ? 'Saved. Listeners see it now.' : 'Saved. Shown when you go live.', 'ok');
+      } catch (e) {
+        setMsg(profMsgEl, `Error: ${e.message}`, 'err');
+      }
+    });
+
+    // ---- My broadcast history ----
+    const historyListEl = byId('historyList');
+    const btnHistory = byId('btnHistory');
+    const btnHistoryMore = byId('btnHistoryMore');
+    let historyBefore = null;
+
+    const END_REASON_LABEL = {
+      STOP: 'Stopped',
+      DISCONNECT: 'Disconnected',
+      KICKED: 'Signed out',
+      BANNED: 'Suspended',
+      SERVER_RESTART: 'Server restart'
+    };
+
+    function fmtDuration(ms) {
+      const m = Math.max(0, Math.round(ms / 60000));
+      return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+    }
+
+    function historyRow(h) {
+      const start = Number(h.started_at);
+      const end = h.ended_at ? Number(h.ended_at) : null;
+      const sources = [h.used_mic ? 'Mic' : '', h.used_sys ? 'System audio' : ''].filter(Boolean).join(' + ') || 'No audio';
+      return `
+        <div class="item">
+          <div>
+            <b>${new Date(start).toLocaleString()}</b>
+            <div class="small">
+              ${end ? `${fmtDuration(end - start)} · ${END_REASON_LABEL[h.end_reason] || h.end_reason}` : 'Live now'}
+              · ${sources}
+            </div>
+          </div>
+          <div class="small">Peak ${h.peak_listeners} · ${h.unique_listeners} unique</div>
+        </div>
+      `;
+    }
+
+    async function loadHistory(more) {
+      try {
+        const qs = more && historyBefore ? `?before=${historyBefore}` : '';
+        const data = await get(`/api/history${qs}`);
+        const rows = (data.sessions || []).map(historyRow).join('');
+
+        if (historyListEl) {
+          if (more) historyListEl.insertAdjacentHTML('beforeend', rows);
+          else historyListEl.innerHTML = rows || '<div class="item">No broadcasts yet.</div>';
+        }
+
+        historyBefore = data.next_before;
+        if (btnHistoryMore) btnHistoryMore.style.display = historyBefore ? '' : 'none';
+      } catch (e) {
+        if (historyListEl) historyListEl.innerHTML = `<div class="item">Could not load history: ${e.message}</div>`;
+      }
+    }
+
+    btnHistory?.addEventListener('click', () => loadHistory(false));
+    btnHistoryMore?.addEventListener('click', () => loadHistory(true));
+
+    // ---- Recording (MediaRecorder on the mixed stream, chunks uploaded in order) ----
+    const recordEl = byId('recordShow');
+    const REC_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+    const REC_SLICE_MS = 5000;
+    let recorder = null;
+    let recUpload = Promise.resolve();
+    let recSeq = 0;
+
+    async function uploadChunk(blob, mimeType, seq) {
+      const res = await fetch(`/api/recordings/chunk?seq=${seq}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': mimeType },
+        body: blob
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data?.ok === false) throw new Error(data?.error || 'ERR');
+    }
+
+    function startRecording() {
+      if (recorder || !mixedStream || typeof MediaRecorder === 'undefined') return;
+      const mimeType = REC_MIME_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+      if (!mimeType) {
+        setMsgLocal('Recording is not supported in this browser.');
+        return;
+      }
+
+      const r = new MediaRecorder(mixedStream, { mimeType });
+      recorder = r;
+      recSeq = 0;
+      recUpload = Promise.resolve();
+      let failed = false;
+
+      r.ondataavailable = (ev) => {
+        if (!ev.data?.size || failed) return;
+        const seq = recSeq++;
+        recUpload = recUpload
+          .then(() => {
+            if (!failed) return uploadChunk(ev.data, mimeType, seq);
+          })
+          .catch((e) => {
+            // a lost chunk would corrupt the file: stop here, drop queued chunks, keep what we have
+            if (failed) return;
+            failed = true;
+            if (recorder === r) stopRecording();
+            setMsgLocal(e.message === 'RECORDING_FULL'
+              ? 'Recording reached its size limit and was stopped.'
+              : `Recording stopped: ${e.message}`);
+          });
+      };
+
+      r.start(REC_SLICE_MS);
+    }
+
+    // Resolves once the final chunk is uploaded (or failed)
+    function stopRecording() {
+      const r = recorder;
+      recorder = null;
+      if (!r || r.state === 'inactive') return recUpload;
+
+      return new Promise(resolve => {
+        r.addEventListener('stop', () => resolve(recUpload), { once: true });
+        r.stop();
+      });
+    }
+
+    // ---- Replays ----
+    const replayListEl = byId('replayList');
+    const replayPlayerEl = byId('replayPlayer');
+    const btnReplays = byId('btnReplays');
+    const btnReplaysMore = byId('btnReplaysMore');
+    const msgReplaysEl = byId('msgReplays');
+    let replaysBefore = null;
+
+    function fmtSize(bytes) {
+      const mb = bytes / (1024 * 1024);
+      return mb >= 1 ? `${mb.toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    function replayRow(r) {
+      const own = r.flat_id === state.myFlat;
+      return `
+        <div class="item" style="display:flex; justify-content:space-between; gap:12px; align-items:center;">
+          <div>
+            <b>${esc(r.title || r.flat_id)}</b>
+            ${r.title ? `<span class="small"> · ${esc(r.flat_id)}</span>` : ``}
+            <div class="small">
+              ${new Date(r.started_at).toLocaleString()} · ${fmtDuration(r.ended_at - r.started_at)} · ${fmtSize(r.bytes)}
+            </div>
+          </div>
+          <div style="display:flex; gap:8px;">
+            <button class="btn" data-replay="${r.id}">Play</button>
+            ${own ? `<button class="btn" data-replaydel="${r.id}">Delete</button>` : ``}
+          </div>
+        </div>
+      `;
+    }
+
+    async function loadReplays(more) {
+      try {
+        const qs = more && replaysBefore ? `?before=${replaysBefore}` : '';
+        const data = await get(`/api/recordings${qs}`);
+        const rows = (data.recordings || []).map(replayRow).join('');
+
+        if (replayListEl) {
+          if (more) replayListEl.insertAdjacentHTML('beforeend', rows);
+          else replayListEl.innerHTML = rows || '<div class="item">No replays yet.</div>';
+        }
+
+        replaysBefore = data.next_before;
+        if (btnReplaysMore) btnReplaysMore.style.display = replaysBefore ? '' : 'none';
+      } catch (e) {
+        if (replayListEl) replayListEl.innerHTML = `<div class="item">Could not load replays: ${e.message}</div>`;
+      }
+    }
+
+    replayListEl?.addEventListener('click', async (e) => {
+      const play = e.target.closest('[data-replay]');
+      if (play && replayPlayerEl) {
+        replayPlayerEl.src = `/api/recordings/${play.dataset.replay}/audio`;
+        replayPlayerEl.style.display = '';
+        replayPlayerEl.play().catch(() => { });
+        return;
+      }
+
+      const del = e.target.closest('[data-replaydel]');
+      if (!del) return;
+      if (!confirm('Delete this recording for everyone?')) return;
+
+      try {
+        await post(`/api/recordings/${del.dataset.replaydel}/delete`);
+        if (replayPlayerEl?.src.endsWith(`/api/recordings/${del.dataset.replaydel}/audio`)) {
+          replayPlayerEl.removeAttribute('src');
+          replayPlayerEl.style.display = 'none';
+        }
+        setMsg(msgReplaysEl, 'Recording deleted.', 'ok');
+        loadReplays(false);
+      } catch (err) {
+        setMsg(msgReplaysEl, `Delete failed: ${err.message}`, 'err');
+      }
+    });
+
+    btnReplays?.addEventListener('click', () => loadReplays(false));
+    btnReplaysMore?.addEventListener('click', () => loadReplays(true));
+
+    // 1) Must be logged in
+    try {
+      const data = await get('/api/live');
+      state.myFlat = data.flat_id;
+      renderSelf();
+      refreshAccount();
+      loadProfile();
+      loadMixerSettings();
+      loadSoundboard();
+      loadBlocks();
+    } catch {
+      setMsgLocal('Session expired. Please login again.');
+      window.location.href = '/login';
+      return;
+    }
+
+    // 2) Presence WS (reconnects with backoff; a live broadcast resumes with its token)
+    const PRESENCE_RETRY_MAX = 8;
+    let presenceRetry = 0;
+    let presenceDone = false; // server ended this session (kicked / identify error): don't retry
+
+    function connectPresence() {
+      try {
+        const proto = location.protocol === 'https:' ? 'wss' : 'ws';
+        const sock = new WebSocket(`${proto}://${location.host}/ws/presence`);
+        window.audixWS = sock;
+        let opened = false;
+
+        sock.onopen = () => {
+          opened = true;
+          presenceRetry = 0;
+          state.wsReady = true;
+          sock.send(JSON.stringify({ type: 'identify', flat_id: state.myFlat }));
+
+          if (state.myMode === 'broadcasting' && resumeToken) {
+            sock.send(JSON.stringify({ type: 'broadcast:resume', resumeToken }));
+          } else if (listeningTo) {
+            sock.send(JSON.stringify({ type: 'listen:start', targetFlat: listeningTo }));
+          }
+          renderSelf();
+        };
+
+        sock.onclose = () => {
+          if (window.audixWS !== sock) return;
+          state.wsReady = false;
+          if (presenceDone) return renderSelf();
+
+          // never opened on first try: server refused the upgrade (no session, banned or disabled flat)
+          if (!opened && !presenceRetry) {
+            setMsgLocal('Live connection refused. Please login again.');
+            state.myMode = 'idle';
+            renderSelf();
+            return;
+          }
+
+          if (presenceRetry >= PRESENCE_RETRY_MAX) {
+            setMsgLocal('Live connection lost. Reload the page.');
+            state.myMode = 'idle';
+            renderSelf();
+            return;
+          }
+
+          // a broadcast stays up on the server for a grace window; keep the mixer running
+          if (state.myMode === 'broadcasting' && resumeToken) setMsgLocal('Connection lost. Reconnecting…');
+          else state.myMode = 'idle';
+          renderSelf();
+
+          const delay = Math.min(1000 * 2 ** presenceRetry, 15000);
+          presenceRetry++;
+          setTimeout(connectPresence, delay);
+        };
+
+        sock.onmessage = onPresenceMessage;
+      } catch {
+        state.wsReady = false;
+        renderSelf();
+      }
+    }
+
+    function onPresenceMessage(ev) {
+      let msg;
+      try { msg = JSON.parse(ev.data); } catch { return; }
+
+      if (msg.type === 'stations:snapshot') {
+        stationsById.clear();
+        (msg.stations || []).forEach(st => stationsById.set(st.id, st));
+        applyStations();
+        return;
+      }
+
+      if (msg.type === 'station:up') {
+        stationsById.set(msg.station.id, msg.station);
+        if (msg.station.id === listeningTo && listenStatusEl) {
+          if (msg.station.reconnecting) listenStatusEl.textContent = `Reconnecting to ${listeningTo}…`;
+          else if (listenPC?.connectionState === 'connected') listenStatusEl.textContent = `Listening to ${listeningTo}`;
+        }
+        applyStations();
+        return;
+      }
+
+      if (msg.type === 'station:down') {
+        stationsById.delete(msg.id);
+        approvedStations.delete(msg.id); // approvals last one broadcast
+        if (listeningTo === msg.id) {
+          stopListening();
+          setMsgLocal(`${msg.id} went offline.`);
+        }
+        applyStations();
+        return;
+      }
+
+      if (msg.type === 'station:listeners') {
+        const st = stationsById.get(msg.id);
+        if (st) st.listeners = msg.listeners;
+        applyStations();
+        return;
+      }
+
+      if (msg.type === 'chat:history') {
+        if (msg.stationId === listeningTo) openChat(msg.stationId, msg.messages, msg.muted);
+        return;
+      }
+
+      if (msg.type === 'chat:msg') {
+        if (msg.stationId !== chat.station) return;
+        chat.messages.push(msg.msg);
+        if (chat.messages.length > 100) chat.messages.shift();
+        renderChat();
+        return;
+      }
+
+      if (msg.type === 'chat:deleted') {
+        if (msg.stationId !== chat.station) return;
+        chat.messages = chat.messages.filter(m => m.id !== msg.id);
+        renderChat();
+        return;
+      }
+
+      if (msg.type === 'chat:muted') {
+        if (msg.stationId !== chat.station) return;
+        if (msg.muted) chat.muted.add(msg.flat_id);
+        else chat.muted.delete(msg.flat_id);
+        renderChat();
+        return;
+      }
+
+      if (msg.type === 'chat:error') {
+        setMsg(chatMsgEl, CHAT_ERROR_TEXT[msg.error] || `Chat: ${msg.error}`, 'err');
+        return;
+      }
+
+      // listener: stage events
+      if (msg.type === 'cohost:accepted') {
+        if (msg.targetFlat === listeningTo) startCohostOut(msg.targetFlat);
+        return;
+      }
+
+      if (msg.type === 'cohost:revoked') {
+        stopCohostOut();
+        if (msg.reason !== 'LEFT') setMsgLocal(`${msg.targetFlat} took you off the stage.`);
+        applyStations();
+        return;
+      }
+
+      if (msg.type === 'hand:dismissed') {
+        stage.handRaised = false;
+        setMsgLocal(`${msg.targetFlat} dismissed your raised hand.`);
+        applyStations();
+        return;
+      }
+
+      // broadcaster: stage events
+      if (msg.type === 'hand:raised') {
+        hostStage.hands.add(msg.flat_id);
+        renderStage();
+        return;
+      }
+
+      if (msg.type === 'hand:lowered') {
+        hostStage.hands.delete(msg.flat_id);
+        renderStage();
+        return;
+      }
+
+      if (msg.type === 'cohost:state') {
+        hostStage.cohost = msg.flat_id;
+        hostStage.hands.delete(msg.flat_id);
+        if (!msg.flat_id) closeCohostIn();
+        renderStage();
+        return;
+      }
+
+      if (msg.type === 'listen:pending') {
+        setMsgLocal(`Waiting for ${msg.targetFlat} to approve...`);
+        return;
+      }
+
+      if (msg.type === 'listen:approved') {
+        approvedStations.add(msg.targetFlat);
+        if (waitingFor === msg.targetFlat) {
+          waitingFor = null;
+          startListening(msg.targetFlat).then(() => {
+            setMsgLocal(`Approved. Listening to ${msg.targetFlat}`);
+            applyStations();
+          });
+        }
+        return;
+      }
+
+      if (msg.type === 'listen:error') {
+        onListenError(msg);
+        return;
+      }
+
+      // broadcaster: someone wants into my APPROVAL station
+      if (msg.type === 'listen:request') {
+        listenRequests.add(msg.flat_id);
+        renderListenRequests();
+        return;
+      }
+
+      if (msg.type === 'kicked') {
+        presenceDone = true;
+        resumeToken = null;
+        stopStatusLoop();
+        teardownMixerAndStopTracks();
+        closeChat(state.myFlat);
+        resetStage();
+        stopMicMeter();
+        stopTimer();
+        stopListening();
+
+        state.myMode = 'idle';
+        if (msg.reason === 'SIGNED_OUT') {
+          setMsgLocal('You were signed out from another device.');
+          setTimeout(() => location.replace('/login'), 1200);
+        } else if (msg.reason === 'BANNED' && msg.ban_until) {
+          setMsgLocal(`Your flat is suspended until ${new Date(Number(msg.ban_until)).toLocaleString()}.`);
+        } else {
+          setMsgLocal('Your flat has been suspended. Contact admin.');
+        }
+        renderSelf();
+        return;
+      }
+
+      if (msg.type === 'identify:error') {
+        presenceDone = true;
+        setMsgLocal('Session does not match this flat. Please login again.');
+        return;
+      }
+
+      if (msg.type === 'broadcast:started') {
+        if (msg.takeover) return onTakeoverStarted(msg);
+        resumeToken = msg.resumeToken;
+        return;
+      }
+
+      if (msg.type === 'takeover:pending') {
+        setMsgLocal(`Asking your other device... the show moves here in ${Math.round(Number(msg.autoMs || 0) / 1000)}s.`);
+        return;
+      }
+
+      if (msg.type === 'takeover:declined') return onTakeoverDeclined(msg);
+      if (msg.type === 'takeover:request') return onTakeoverRequest(msg);
+      if (msg.type === 'takeover:done') return onTakeoverDone();
+
+      if (msg.type === 'takeover:cancelled') {
+        takeoverAsk = null;
+        renderTakeoverAsk();
+        return;
+      }
+
+      // back after a network drop: make sure signaling is back too (it resumes with the same token)
+      if (msg.type === 'broadcast:resumed') {
+        setMsgLocal('Reconnected. You are live.');
+        ensureSignalWS('broadcaster').catch(() => scheduleSignalRetry());
+        return;
+      }
+
+      if (msg.type === 'broadcast:resume:failed') {
+        resumeToken = null;
+        stopStatusLoop();
+        teardownMixerAndStopTracks();
+        closeChat(state.myFlat);
+        resetStage();
+        stopMicMeter();
+        stopTimer();
+
+        state.myMode = 'idle';
+        setMsgLocal('Your broadcast ended while you were offline.');
+        renderSelf();
+        return;
+      }
+
+      if (msg.type === 'broadcast:denied' && msg.reason === 'ALREADY_BROADCASTING') {
+        // revert UI + stop capture to avoid confusion
+        stopStatusLoop();
+        teardownMixerAndStopTracks();
+        closeChat(state.myFlat);
+        resetStage();
+        stopMicMeter();
+        stopTimer();
+
+        state.myMode = 'idle';
+        setMsgLocal('Broadcast denied: this flat is already live on another device. Use "Take over" in the station list.');
+        renderSelf();
+      }
+    }
+
+    connectPresence();
+
+    // 3) Broadcast buttons
+    btnStart?.addEventListener('click', async () => {
+      if (state.busy) return;
+      if (!window.audixWS || window.audixWS.readyState !== 1) return;
+
+      try {
+        state.busy = true;
+
+        // stop listening when going live
+        await stopListening();
+
+        if (micEnableEl?.checked) await ensureMic();
+        if (sysEnableEl?.checked && !sysStream) {
+          setMsgLocal('Pick system audio first (button).');
+          return;
+        }
+
+        buildMixer();
+        startMicMeter();
+        setGainsFromUI();
+
+        await ensureSignalWS('broadcaster');
+
+        window.audixWS.send(JSON.stringify({ type: 'broadcast:start', ...readVisibility() }));
+        setMsgLocal('Starting broadcast...');
+        renderSelf();
+
+        startStatusLoop();
+
+        // optimistic UI, but delay slightly so denial can arrive first
+        setTimeout(() => {
+          if (state.myMode !== 'idle') return; // if denial already set idle
+          state.myMode = 'broadcasting';
+          openChat(state.myFlat, [], []);
+          if (recordEl?.checked) startRecording();
+          setMsgLocal('You are live now.');
+          renderSelf();
+        }, 250);
+
+      } catch (e) {
+        setMsgLocal(`Broadcast failed: ${e.message}`);
+      } finally {
+        setTimeout(() => { state.busy = false; }, 300);
+      }
+    });
+
+    btnStop?.addEventListener('click', async () => {
+      if (state.busy) return;
+      if (!window.audixWS || window.audixWS.readyState !== 1) return;
+
+      state.busy = true;
+
+      // last chunk must reach the server while the station is still live
+      await stopRecording();
+
+      window.audixWS.send(JSON.stringify({ type: 'broadcast:stop' }));
+      resumeToken = null;
 
       stopStatusLoop();
       teardownMixerAndStopTracks();
+      closeChat(state.myFlat);
+      resetStage();
       stopMicMeter();
       stopTimer();
 
 
       state.myMode = 'idle';
+      listenRequests.clear();
+      renderListenRequests();
       setMsgLocal('Broadcast stopped.');
       renderSelf();
 
       setTimeout(() => { state.busy = false; }, 300);
     });
 
-    // 4) Poll station list
-    async function refreshStations() {
+    // ---- Take over: move the live show from another device of this flat to this one ----
+    async function startTakeover() {
+      if (state.busy || takeoverPending) return;
+      if (!window.audixWS || window.audixWS.readyState !== 1) return;
+
       try {
-        const data = await get('/api/live');
-        const st = data.stations || [];
-        renderStations(st);
+        state.busy = true;
+        await stopListening();
+
+        if (micEnableEl?.checked) await ensureMic();
+        if (sysEnableEl?.checked && !sysStream) {
+          setMsgLocal('Pick system audio first (button).');
+          return;
+        }
+
+        // audio ready before the swap so listeners hear this device straight away
+        buildMixer();
+        startMicMeter();
+        setGainsFromUI();
+
+        takeoverPending = true;
+        window.audixWS.send(JSON.stringify({ type: 'broadcast:takeover' }));
+        setMsgLocal('Asking your other device...');
+        applyStations();
+      } catch (e) {
+        setMsgLocal(`Take over failed: ${e.message}`);
+      } finally {
+        setTimeout(() => { state.busy = false; }, 300);
+      }
+    }
 
-        // ✅ show my listener count
-        const mine = st.find(x => x.id === state.myFlat);
-        if (myListenersEl) myListenersEl.textContent = `Listeners: ${mine?.listeners ?? 0}`;
+    // New device: we own the station now; signaling reattaches with the new token
+    async function onTakeoverStarted(msg) {
+      takeoverPending = false;
+      resumeToken = msg.resumeToken;
+      state.myMode = 'broadcasting';
+      if (visibilityEl && msg.visibility) visibilityEl.value = msg.visibility;
+
+      const identify = { type: 'identify', flat_id: state.myFlat, role: 'broadcaster', resumeToken };
+      if (signalWS && signalWS.readyState === 1) signalWS.send(JSON.stringify(identify));
+      else await ensureSignalWS('broadcaster').catch(() => scheduleSignalRetry());
+
+      startStatusLoop();
+      openChat(state.myFlat, msg.chat, msg.muted);
+      if (recordEl?.checked) startRecording();
+      setMsgLocal('You took over the broadcast.');
+      renderSelf();
+      applyStations();
+    }
+
+    function onTakeoverDeclined(msg) {
+      if (!takeoverPending) return;
+      takeoverPending = false;
+      if (state.myMode !== 'broadcasting') {
+        teardownMixerAndStopTracks();
+        stopMicMeter();
+      }
+      setMsgLocal(TAKEOVER_DECLINED_TEXT[msg.reason] || 'Take over did not happen.');
+      applyStations();
+    }
+
+    const TAKEOVER_DECLINED_TEXT = {
+      DECLINED: 'Your other device kept the broadcast.',
+      BUSY: 'Another device is already taking over.',
+      STATION_OFFLINE: 'The broadcast has ended.',
+      STATION_ENDED: 'The broadcast has ended.'
+    };
+
+    // Old device: show moved away; stop capture without ending the station
+    function onTakeoverDone() {
+      takeoverAsk = null;
+      renderTakeoverAsk();
+      resumeToken = null;
+      stopStatusLoop();
+      teardownMixerAndStopTracks();
+      closeChat(state.myFlat);
+      resetStage();
+      stopMicMeter();
+      stopTimer();
+
+      state.myMode = 'idle';
+      listenRequests.clear();
+      renderListenRequests();
+      setMsgLocal('Your broadcast moved to another device.');
+      renderSelf();
+    }
+
+    function renderTakeoverAsk() {
+      const box = byId('takeoverBox');
+      if (!box) return;
+      if (!takeoverAsk) {
+        box.innerHTML = '';
+        return;
+      }
+
+      const secs = Math.max(0, Math.ceil((takeoverAsk.deadline - Date.now()) / 1000));
+      box.innerHTML = `
+        <div class="item" style="display:flex; justify-content:space-between; gap:12px; align-items:center;">
+          <div>
+            <b>Another device wants to take over</b>
+            <div class="small">The show moves there in ${secs}s unless you keep it.</div>
+          </div>
+          <div style="display:flex; gap:8px;">
+            <button class="btn btnStart" data-takeoveranswer="1">Hand over</button>
+            <button class="btn btnStop" data-takeoveranswer="0">Keep</button>
+          </div>
+        </div>
+      `;
+      box.querySelectorAll('button[data-takeoveranswer]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          sendPresence({ type: 'takeover:answer', accept: btn.getAttribute('data-takeoveranswer') === '1' });
+          takeoverAsk = null;
+          renderTakeoverAsk();
+        });
+      });
+    }
+
+    function onTakeoverRequest(msg) {
+      takeoverAsk = { deadline: Date.now() + Number(msg.autoMs || 0) };
+      renderTakeoverAsk();
+
+      // countdown; the server moves the show when it reaches zero
+      const tick = setInterval(() => {
+        if (!takeoverAsk || Date.now() >= takeoverAsk.deadline) {
+          clearInterval(tick);
+          return;
+        }
+        renderTakeoverAsk();
+      }, 1000);
+    }
+
+    // Broadcaster: pending listen requests (APPROVAL stations)
+    const listenRequestsEl = byId('listenRequests');
+    const visibilityEl = byId('visibility');
+    const allowListEl = byId('allowList');
+
+    function renderListenRequests() {
+      if (!listenRequestsEl) return;
+      if (!listenRequests.size) {
+        listenRequestsEl.innerHTML = '';
+        return;
+      }
+
+      listenRequestsEl.innerHTML = [...listenRequests].map(f => `
+        <div class="item">
+          <div><b>${esc(f)}</b> <span class="small">wants to listen</span></div>
+          <div style="display:flex; gap:8px;">
+            <button class="btn btnStart" data-approve="${esc(f)}">Accept</button>
+            <button class="btn btnStop" data-decline="${esc(f)}">Decline</button>
+            <button class="btn" data-blockreq="${esc(f)}">Block</button>
+          </div>
+        </div>
+      `).join('');
+
+      listenRequestsEl.querySelectorAll('button[data-approve], button[data-decline]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const approve = btn.hasAttribute('data-approve');
+          const flat_id = btn.getAttribute(approve ? 'data-approve' : 'data-decline');
+          if (window.audixWS && window.audixWS.readyState === 1) {
+            window.audixWS.send(JSON.stringify({ type: approve ? 'listen:approve' : 'listen:decline', flat_id }));
+          }
+          listenRequests.delete(flat_id);
+          renderListenRequests();
+        });
+      });
+
+      listenRequestsEl.querySelectorAll('button[data-blockreq]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const flat_id = btn.getAttribute('data-blockreq');
+          if (window.audixWS && window.audixWS.readyState === 1) {
+            window.audixWS.send(JSON.stringify({ type: 'listen:decline', flat_id }));
+          }
+          listenRequests.delete(flat_id);
+          renderListenRequests();
+          await blockFlat(flat_id);
+        });
+      });
+    }
 
+    // Broadcaster: raised hands + current co-host
+    const stageBoxEl = byId('stageBox');
+    const hostStage = { hands: new Set(), cohost: null };
+
+    function renderStage() {
+      if (!stageBoxEl) return;
+
+      const cohostRow = hostStage.cohost ? `
+        <div class="item">
+          <div><b>${esc(hostStage.cohost)}</b> <span class="audixTag audixTagOn">On air</span></div>
+          <button class="btn btnStop" data-revoke="${esc(hostStage.cohost)}">Revoke</button>
+        </div>
+      ` : '';
+
+      const handRows = [...hostStage.hands].map(f => `
+        <div class="item">
+          <div><b>${esc(f)}</b> <span class="small">raised a hand</span></div>
+          <div style="display:flex; gap:8px;">
+            <button class="btn btnStart" data-cohost="${esc(f)}">Bring on air</button>
+            <button class="btn" data-dismiss="${esc(f)}">Dismiss</button>
+          </div>
+        </div>
+      `).join('');
+
+      stageBoxEl.innerHTML = cohostRow + handRows;
+
+      stageBoxEl.querySelectorAll('button[data-cohost]').forEach(btn => {
+        btn.addEventListener('click', () => sendPresence({ type: 'cohost:accept', flat_id: btn.getAttribute('data-cohost') }));
+      });
+      stageBoxEl.querySelectorAll('button[data-dismiss]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const flat_id = btn.getAttribute('data-dismiss');
+          sendPresence({ type: 'hand:dismiss', flat_id });
+          hostStage.hands.delete(flat_id);
+          renderStage();
+        });
+      });
+      stageBoxEl.querySelectorAll('button[data-revoke]').forEach(btn => {
+        btn.addEventListener('click', () => sendPresence({ type: 'cohost:revoke', flat_id: btn.getAttribute('data-revoke') }));
+      });
+    }
+
+    function resetStage() {
+      hostStage.hands.clear();
+      hostStage.cohost = null;
+      renderStage();
+    }
+
+    // ---- Block list (kept server-side; blocking ends an active listen) ----
+    const blockListEl = byId('blockList');
+    const blockFlatEl = byId('block_flat');
+    const btnBlock = byId('btnBlock');
+    const blockMsgEl = byId('msgBlock');
+    normalizeFlatInput(blockFlatEl);
+
+    function renderBlocks(blocks) {
+      if (!blockListEl) return;
+      if (!blocks.length) {
+        blockListEl.innerHTML = '<div class="small" style="opacity:.85;">Nobody is blocked.</div>';
+        return;
+      }
+
+      blockListEl.innerHTML = blocks.map(b => `
+        <div class="item">
+          <b>${esc(b.blocked_flat)}</b>
+          <button class="btn secondary" data-unblock="${esc(b.blocked_flat)}">Unblock</button>
+        </div>
+      `).join('');
+
+      blockListEl.querySelectorAll('button[data-unblock]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const flat_id = btn.getAttribute('data-unblock');
+          try {
+            await post('/api/blocks/remove', { flat_id });
+            setMsg(blockMsgEl, `${flat_id} unblocked.`, 'ok');
+            loadBlocks();
+          } catch (e) {
+            setMsg(blockMsgEl, `Error: ${e.message}`, 'err');
+            if (e.message === 'NOT_BLOCKED') loadBlocks(); // stale row (removed elsewhere)
+          }
+        });
+      });
+    }
+
+    async function loadBlocks() {
+      try {
+        const data = await get('/api/blocks');
+        renderBlocks(data.blocks || []);
+      } catch { }
+    }
+
+    async function blockFlat(flat_id) {
+      try {
+        await post('/api/blocks', { flat_id });
+        setMsg(blockMsgEl, `${flat_id} blocked.`, 'ok');
+        loadBlocks();
+      } catch (e) {
+        setMsg(blockMsgEl, `Error: ${e.message}`, 'err');
+      }
+    }
+
+    btnBlock?.addEventListener('click', async () => {
+      const flat_id = (blockFlatEl?.value || '').trim();
+      if (!/^[A-Z]-\d{3}$/.test(flat_id)) {
+        setMsg(blockMsgEl, 'Enter Flat ID like A-705', 'err');
+        return;
+      }
+      await blockFlat(flat_id);
+      if (blockFlatEl) blockFlatEl.value = '';
+    });
+
+    function readVisibility() {
+      const visibility = visibilityEl?.value || 'PUBLIC';
+      const allow = String(allowListEl?.value || '')
+        .split(/[\s,]+/)
+        .map(x => x.trim().toUpperCase())
+        .filter(Boolean);
+      return { visibility, allow };
+    }
+
+    visibilityEl?.addEventListener('change', () => {
+      if (allowListEl) allowListEl.style.display = visibilityEl.value === 'PUBLIC' ? 'none' : '';
+    });
+
+    // 4) Station list: pushed over presence; poll /api/live only while that socket is down
+    function applyStations() {
+      const st = [...stationsById.values()].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+      // don't wipe a half-typed report
+      if (!reportingId) renderStations(st);
+
+      // ✅ show my listener count
+      const mine = st.find(x => x.id === state.myFlat);
+      if (myListenersEl) myListenersEl.textContent = `Listeners: ${mine?.listeners ?? 0}`;
+    }
+
+    async function refreshStations() {
+      try {
+        const data = await get('/api/live');
+        stationsById.clear();
+        (data.stations || []).forEach(st => stationsById.set(st.id, st));
+        applyStations();
       } catch { }
     }
 
     refreshStations();
-    setInterval(refreshStations, 2000);
+    setInterval(() => {
+      if (!state.wsReady) refreshStations();
+    }, 5000);
   }
 
   document.addEventListener('DOMContentLoaded', () => {
@@ -5,6 +5,7 @@ import express from "express";
 import session from "express-session";
 import pgSession from "connect-pg-simple";
 import path from "path";
+import fs from "fs/promises";
 import { fileURLToPath } from "url";
 
 // ✅ Postgres DB helpers
@@ -16,14 +17,140 @@ import {
   setupPinWithCode,
   loginFlat,
   normalizeFlatId,
-  getSetupStatus
+  getSetupStatus,
+  getFlatAccess,
+  addStrike,
+  reserveAuthAttempt,
+  reservedRetryAfter,
+  refundAuthAttempt,
+  clearAuthFailures,
+  getAccountInfo,
+  changePin,
+  changePassword,
+  destroyFlatSessions,
+  createResetRequest,
+  listResetRequests,
+  issueResetCode,
+  rejectResetRequest,
+  resetPinWithCode
 } from "./user_db_pg.js";
 
+// ✅ Postgres station DB functions (reports, history, profiles, mixer, blocks, chat, recordings, soundboard)
+import {
+  createStationReport,
+  listStationReports,
+  resolveStationReport,
+  startBroadcastSession,
+  endBroadcastSession,
+  closeOrphanBroadcastSessions,
+  listBroadcastSessions,
+  getStationProfile,
+  saveStationProfile,
+  getMixerSettings,
+  saveMixerSettings,
+  loadAllBlocks,
+  listBlocks,
+  addBlock,
+  removeBlock,
+  saveChatMessage,
+  markChatDeleted,
+  listChatMessages,
+  createRecording,
+  finishRecording,
+  closeOrphanRecordings,
+  listRecordings,
+  getRecording,
+  deleteRecording,
+  expireRecordings,
+  listSoundboardClips,
+  getSoundboardClip,
+  saveSoundboardClip,
+  deleteSoundboardClip
+} from "./station_db_pg.js";
+
+// ✅ Clip format + duration from the file bytes (soundboard limits)
+import { readClipMeta, CLIP_FORMATS } from "./audio_meta.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+function splitList(v) {
+  return String(v || "").split(",").map((x) => x.trim()).filter(Boolean);
+}
+
 const PORT = Number(process.env.PORT || 5005);
 const SESSION_SECRET = process.env.SESSION_SECRET || "";
+const REPORT_WINDOW_MS = Number(process.env.REPORT_WINDOW_MIN || 30) * 60 * 1000;
+
+// Strike escalation: ban length per strike (minutes, last one repeats) + strikes until admin revoke
+const STRIKE_BAN_STEPS_MS = String(process.env.STRIKE_BAN_STEPS_MIN || "60,1440,10080")
+  .split(",")
+  .map((x) => Number(x.trim()) * 60 * 1000)
+  .filter((x) => x > 0);
+const STRIKE_REVOKE_LIMIT = Number(process.env.STRIKE_REVOKE_LIMIT || 4);
+
+// Listener relay tree: children per relaying listener (0 = everyone straight from the broadcaster),
+// direct children of the broadcaster, and how long a listener must be connected before it relays
+const RELAY_FANOUT = Number(process.env.RELAY_FANOUT ?? 2);
+const RELAY_ROOT_FANOUT = Number(process.env.RELAY_ROOT_FANOUT || 6);
+const RELAY_STABLE_MS = Number(process.env.RELAY_STABLE_SEC || 20) * 1000;
+
+// Broadcaster drop-out: how long a station stays up ("reconnecting") waiting for the same device to resume
+const BROADCAST_GRACE_MS = Number(process.env.BROADCAST_GRACE_SEC ?? 30) * 1000;
+
+// Device hand-over: the live device has this long to refuse before the move happens anyway
+const TAKEOVER_CONFIRM_MS = Number(process.env.TAKEOVER_CONFIRM_SEC || 15) * 1000;
+
+// Station chat limits
+const CHAT_MAX_LEN = Number(process.env.CHAT_MAX_LEN || 300);
+const CHAT_HISTORY = Number(process.env.CHAT_HISTORY || 50);
+const CHAT_RATE_COUNT = Number(process.env.CHAT_RATE_COUNT || 5); // messages ...
+const CHAT_RATE_WINDOW_MS = Number(process.env.CHAT_RATE_WINDOW_SEC || 10) * 1000; // ... per window
+
+// Broadcast recordings (opt-in): where files go, per-show size cap, upload chunk cap, retention
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, "recordings");
+const RECORDING_MAX_BYTES = Number(process.env.RECORDING_MAX_MB || 300) * 1024 * 1024;
+const RECORDING_CHUNK_LIMIT = "5mb";
+const RECORDING_RETENTION_MS = Number(process.env.RECORDING_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+const RECORDING_MAX_PER_FLAT = Number(process.env.RECORDING_MAX_PER_FLAT || 10);
+const RECORDING_MIME = /^audio\/(webm|ogg|mp4)(;\s*codecs="?[\w.]+"?)?$/i;
+
+// Soundboard: short clips per flat, one per pad (WAV/MP3/Ogg, checked from the bytes)
+const SOUNDBOARD_DIR = process.env.SOUNDBOARD_DIR || path.join(__dirname, "soundboard");
+const SOUNDBOARD_MAX_BYTES = Number(process.env.SOUNDBOARD_MAX_KB || 1024) * 1024;
+const SOUNDBOARD_MAX_MS = Number(process.env.SOUNDBOARD_MAX_SEC || 30) * 1000;
+const SOUNDBOARD_PADS = 12;
+
+// WebRTC ICE servers handed to clients. TURN uses coturn's REST scheme (use-auth-secret):
+// username "<expiry unix>:<flat>", credential = base64(HMAC-SHA1(TURN_SECRET, username))
+const ICE_STUN_URLS = splitList(process.env.ICE_STUN_URLS ?? "stun:stun.l.google.com:19302");
+const ICE_TURN_URLS = splitList(process.env.ICE_TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET || "";
+const TURN_TTL_SEC = Number(process.env.TURN_TTL_SEC || 6 * 60 * 60);
+
+const RESET_CODE_TTL_MS = Number(process.env.RESET_CODE_TTL_MIN || 24 * 60) * 60 * 1000;
+
+// Brute-force limits for /api/login + /api/setup-pin (IP is looser: many flats share one NAT)
+const AUTH_LOCK_MS = Number(process.env.AUTH_LOCK_MIN || 15) * 60 * 1000;
+const AUTH_LIMITS = {
+  flat: {
+    freeFails: 3,
+    maxFails: Number(process.env.AUTH_MAX_FAILS_FLAT || 10),
+    baseDelayMs: 2000,
+    lockMs: AUTH_LOCK_MS,
+    windowMs: 60 * 60 * 1000
+  },
+  ip: {
+    freeFails: 10,
+    maxFails: Number(process.env.AUTH_MAX_FAILS_IP || 40),
+    baseDelayMs: 2000,
+    lockMs: AUTH_LOCK_MS,
+    windowMs: 60 * 60 * 1000
+  }
+};
+
+// Failures that count as a guess (not e.g. PIN_NOT_SET or BANNED)
+const AUTH_GUESS_ERRORS = new Set(["INVALID_CREDENTIALS", "INVALID_PIN", "INVALID_CODE"]);
 
 const LIVE_TOKEN = process.env.AUDIX_LIVE_TOKEN || "";
 if (!LIVE_TOKEN) {
@@ -36,38 +163,51 @@ if (!SESSION_SECRET) {
   process.exit(1);
 }
 
+if (ICE_TURN_URLS.length && !TURN_SECRET) {
+  console.warn("ICE_TURN_URLS set without TURN_SECRET: TURN servers will not be offered");
+}
+
 // ✅ Run migrations once on boot (creates tables if missing)
 await migrate();
 console.log("[DB] Postgres connected & migrated");
 
+const orphanSessions = await closeOrphanBroadcastSessions(query);
+if (orphanSessions) console.log(`[DB] Closed ${orphanSessions} broadcast session(s) left open by restart`);
+
+await fs.mkdir(RECORDINGS_DIR, { recursive: true });
+await fs.mkdir(SOUNDBOARD_DIR, { recursive: true });
+const orphanRecordings = await closeOrphanRecordings(query);
+if (orphanRecordings) console.log(`[DB] Closed ${orphanRecordings} recording(s) left open by restart`);
+
 const app = express();
 app.set("trust proxy", 1);
 
 // ✅ Persist sessions in Postgres (fixes MemoryStore warning)
 const PgSession = pgSession(session);
 
-app.use(
-  session({
-    name: "audix_user_sid",
-    secret: SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-
-    store: new PgSession({
-      pool,
-      tableName: "user_sessions",
-      createTableIfMissing: false, // ✅ IMPORTANT: stop auto-creating (prevents session_pkey collision)
-    }),
-
+// Kept as a named middleware so the WebSocket upgrade can load the same session
+const sessionMiddleware = session({
+  name: "audix_user_sid",
+  secret: SESSION_SECRET,
+  resave: false,
+  saveUninitialized: false,
+
+  store: new PgSession({
+    pool,
+    tableName: "user_sessions",
+    createTableIfMissing: false, // ✅ IMPORTANT: stop auto-creating (prevents session_pkey collision)
+  }),
+
+
+  cookie: {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production", // Render
+    maxAge: 1000 * 60 * 60 * 24 * 7 // 7 days default
+  }
+});
 
-    cookie: {
-      httpOnly: true,
-      sameSite: "lax",
-      secure: process.env.NODE_ENV === "production", // Render
-      maxAge: 1000 * 60 * 60 * 24 * 7 // 7 days default
-    }
-  })
-);
+app.use(sessionMiddleware);
 
 
 app.use(express.json());
@@ -77,7 +217,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use((req, res, next) => {
   res.setHeader(
     "Content-Security-Policy",
-    "default-src 'self'; style-src 'self' 'unsafe-inline'; script-src 'self'; connect-src 'self'; img-src 'self' data:;"
+    "default-src 'self'; style-src 'self' 'unsafe-inline'; script-src 'self'; connect-src 'self'; img-src 'self' data:; media-src 'self' blob:;"
   );
   next();
 });
@@ -93,10 +233,22 @@ function requireUser(req, res, next) {
 // ---- live state (in-memory, fast) ----
 const live = {
   startedAt: Date.now(),
-  clients: new Map(), // ws -> { flat_id, ip, role, listeningTo, connectedAt }
+  clients: new Map(), // ws -> { flat_id, sid, ip, role, listeningTo, connectedAt }
   stations: new Map() // broadcasterFlatId -> { ip, startedAt, listeners:Set<ws>, audio: {...} }
 };
 
+// Block lists cached in memory (owner flat -> Set of blocked flats) so the
+// WS handlers can check them synchronously; writes go to Postgres first
+const blockLists = new Map();
+for (const r of await loadAllBlocks(query)) {
+  if (!blockLists.has(r.owner_flat)) blockLists.set(r.owner_flat, new Set());
+  blockLists.get(r.owner_flat).add(r.blocked_flat);
+}
+
+function isBlocked(owner_flat, flat_id) {
+  return !!blockLists.get(owner_flat)?.has(flat_id);
+}
+
 function getIP(req) {
   return (
     req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
@@ -111,21 +263,369 @@ function requireLiveToken(req, res, next) {
   return res.status(401).json({ ok: false, error: "UNAUTHORIZED" });
 }
 
-function buildPublicStations() {
+function publicStation(flat_id, st) {
+  const p = st.profile || null;
+  return {
+    id: flat_id,
+    name: p?.title || flat_id,
+    live: true,
+    listeners: st.listeners.size,
+    startedAt: st.startedAt,
+    visibility: st.visibility,
+    recording: !!st.recording,
+    reconnecting: !!st.reconnecting,
+    nowPlaying: st.nowPlaying || null,
+    profile: p
+  };
+}
+
+// ---- Station visibility: PUBLIC | APPROVAL (listed, broadcaster approves) | PRIVATE (allowlist only) ----
+const VISIBILITY_MODES = ["PUBLIC", "APPROVAL", "PRIVATE"];
+
+function parseVisibility(msg) {
+  const visibility = VISIBILITY_MODES.includes(msg.visibility) ? msg.visibility : "PUBLIC";
+  const allow = new Set(
+    (Array.isArray(msg.allow) ? msg.allow : [])
+      .slice(0, 200)
+      .map(normalizeFlatId)
+      .filter(Boolean)
+  );
+  return { visibility, allow };
+}
+
+// PRIVATE stations are not even listed for flats outside the allowlist
+function canSeeStation(flat_id, st, viewer_flat) {
+  if (viewer_flat === flat_id) return true;
+  if (st.visibility === "PRIVATE") return st.allow.has(viewer_flat);
+  return true;
+}
+
+// null = may listen, otherwise the listen:error reason
+function checkListenAccess(flat_id, listener_flat) {
+  const st = live.stations.get(flat_id);
+  if (!st) return "STATION_OFFLINE";
+  if (listener_flat === flat_id) return "OWN_STATION";
+  if (isBlocked(flat_id, listener_flat)) return "BLOCKED";
+  if (st.visibility === "PRIVATE" && !st.allow.has(listener_flat)) return "NOT_ALLOWED";
+  if (st.visibility === "APPROVAL" && !st.allow.has(listener_flat) && !st.approved.has(listener_flat)) {
+    return "APPROVAL_REQUIRED";
+  }
+  return null;
+}
+
+// Profile is loaded after the station exists; re-push it once it arrives
+function loadStationProfile(flat_id, st) {
+  getStationProfile(query, { flat_id })
+    .then((profile) => {
+      if (!profile || live.stations.get(flat_id) !== st) return;
+      st.profile = profile;
+      pushStationUp(flat_id);
+    })
+    .catch((e) => console.error("[DB] station profile load failed:", e.message));
+}
+
+function buildPublicStations(viewer_flat) {
   const out = [];
   for (const [flat_id, st] of live.stations.entries()) {
-    out.push({
-      id: flat_id,
-      name: flat_id,
-      live: true,
-      listeners: st.listeners.size,
-      startedAt: st.startedAt
-    });
+    if (!canSeeStation(flat_id, st, viewer_flat)) continue;
+    out.push(publicStation(flat_id, st));
   }
   out.sort((a, b) => String(a.id).localeCompare(String(b.id)));
   return out;
 }
 
+// ---- Station list push (presence socket; /api/live is only a fallback) ----
+function pushPresence(obj) {
+  for (const ws of live.clients.keys()) safeSend(ws, obj);
+}
+
+// Only to clients allowed to see the station
+function pushStationEvent(flat_id, st, obj) {
+  for (const [ws, c] of live.clients.entries()) {
+    if (canSeeStation(flat_id, st, c.flat_id)) safeSend(ws, obj);
+  }
+}
+
+function pushStationUp(flat_id) {
+  const st = live.stations.get(flat_id);
+  if (st) pushStationEvent(flat_id, st, { type: "station:up", station: publicStation(flat_id, st) });
+}
+
+function pushListenerCount(flat_id) {
+  const st = flat_id && live.stations.get(flat_id);
+  if (st) pushStationEvent(flat_id, st, { type: "station:listeners", id: flat_id, listeners: st.listeners.size });
+}
+
+// Presence sockets of one flat (a flat may have several tabs/devices)
+function presenceSocketsOf(flat_id) {
+  const out = [];
+  for (const [ws, c] of live.clients.entries()) {
+    if (c.flat_id === flat_id) out.push(ws);
+  }
+  return out;
+}
+
+// ---- Broadcast history (row opened on start, closed on end) ----
+function recordStationStart(flat_id, st) {
+  st.history = { peak: 0, unique: new Set(), usedMic: false, usedSys: false };
+  st.sessionId = startBroadcastSession(query, { flat_id, started_at: st.startedAt }).catch((e) => {
+    console.error("[DB] broadcast session start failed:", e.message);
+    return null;
+  });
+}
+
+// ---- Recordings (file per show; chunks appended in order while live) ----
+function recordingPath(file_name) {
+  return path.join(RECORDINGS_DIR, file_name);
+}
+
+function openRecording(flat_id, st, mime) {
+  const rec = {
+    file_name: `${crypto.randomUUID()}.${mime.split(/[/;]/)[1].toLowerCase()}`,
+    mime,
+    bytes: 0,
+    nextSeq: 0,
+    writing: false // one append at a time
+  };
+  rec.id = st.sessionId
+    .then((session_id) => createRecording(query, {
+      flat_id,
+      session_id,
+      title: st.profile?.title,
+      file_name: rec.file_name,
+      mime,
+      visibility: st.visibility,
+      started_at: Date.now()
+    }))
+    .catch((e) => {
+      console.error("[DB] recording start failed:", e.message);
+      return null;
+    });
+
+  st.recording = rec;
+  pushStationUp(flat_id); // listeners see the REC tag
+  return rec;
+}
+
+function closeRecording(st) {
+  const rec = st.recording;
+  if (!rec) return;
+  st.recording = null;
+
+  // PRIVATE/APPROVAL replays go to the same flats that could listen live
+  const allowed_flats = st.visibility === "PUBLIC" ? [] : [...new Set([...st.allow, ...st.approved])];
+  const ended_at = Date.now();
+
+  rec.id
+    .then((id) => id && finishRecording(query, { id, ended_at, bytes: rec.bytes, allowed_flats }))
+    .then(() => pruneRecordings())
+    .catch((e) => console.error("[DB] recording end failed:", e.message));
+}
+
+async function pruneRecordings() {
+  const files = await expireRecordings(query, {
+    maxAgeMs: RECORDING_RETENTION_MS,
+    maxPerFlat: RECORDING_MAX_PER_FLAT
+  });
+  for (const f of files) await fs.unlink(recordingPath(f)).catch(() => { });
+}
+
+function canReplay(row, flat_id) {
+  if (row.flat_id === flat_id) return true;
+  if (isBlocked(row.flat_id, flat_id)) return false;
+  return row.visibility === "PUBLIC" || (row.allowed_flats || []).includes(flat_id);
+}
+
+function recordListenerJoin(st, listener_flat) {
+  if (!st.history) return;
+  st.history.unique.add(listener_flat);
+  st.history.peak = Math.max(st.history.peak, st.listeners.size);
+}
+
+function recordStationEnd(st, reason) {
+  const h = st.history;
+  if (!h) return;
+  const ended_at = Date.now();
+
+  st.sessionId.then((id) => {
+    if (!id) return;
+    return endBroadcastSession(query, {
+      id,
+      ended_at,
+      end_reason: reason,
+      peak_listeners: h.peak,
+      unique_listeners: h.unique.size,
+      used_mic: h.usedMic,
+      used_sys: h.usedSys
+    });
+  }).catch((e) => console.error("[DB] broadcast session end failed:", e.message));
+}
+
+// ---- Broadcaster grace window: station stays listed while its device reconnects ----
+// Entered when the owner's presence socket or broadcaster signal socket drops; left once both are back
+function beginStationGrace(flat_id, st) {
+  if (BROADCAST_GRACE_MS <= 0) return endStation(flat_id, "DISCONNECT");
+  if (st.reconnecting) return;
+
+  st.reconnecting = {
+    since: Date.now(),
+    timer: setTimeout(() => {
+      if (live.stations.get(flat_id) === st) endStation(flat_id, "DISCONNECT");
+    }, BROADCAST_GRACE_MS)
+  };
+  pushStationUp(flat_id);
+}
+
+function endStationGrace(flat_id, st) {
+  if (!st.reconnecting || !st.ownerWs || !stationBroadcasterWS.has(flat_id)) return;
+  clearTimeout(st.reconnecting.timer);
+  st.reconnecting = null;
+  pushStationUp(flat_id);
+}
+
+// ---- Hand-over between two devices of the same flat ----
+function cancelTakeover(st, reason) {
+  const t = st.takeover;
+  if (!t) return;
+  clearTimeout(t.timer);
+  st.takeover = null;
+  safeSend(t.ws, { type: "takeover:declined", reason });
+  safeSend(st.ownerWs, { type: "takeover:cancelled" });
+}
+
+// New device becomes the owner; its signal socket then reattaches with the fresh
+// resume token, which swaps stationBroadcasterWS and re-offers every listener
+function completeTakeover(flat_id, st) {
+  const t = st.takeover;
+  if (!t || live.stations.get(flat_id) !== st) return;
+  clearTimeout(t.timer);
+  st.takeover = null;
+
+  const next = live.clients.get(t.ws);
+  if (!next || t.ws.readyState !== 1) return;
+
+  const prevWs = st.ownerWs;
+  const prev = prevWs ? live.clients.get(prevWs) : null;
+  if (prev) prev.role = "idle";
+  safeSend(prevWs, { type: "takeover:done" });
+
+  if (next.listeningTo) {
+    live.stations.get(next.listeningTo)?.listeners.delete(t.ws);
+    pushListenerCount(next.listeningTo);
+    next.listeningTo = null;
+  }
+
+  // old device's co-host link and recording end with it
+  revokeCohost(flat_id, st, "TAKEOVER");
+  closeRecording(st);
+  st.nowPlaying = null; // the playlist stayed on the old device
+
+  next.role = "broadcaster";
+  st.ownerWs = t.ws;
+  st.ip = next.ip;
+  st.resumeToken = crypto.randomBytes(16).toString("hex");
+
+  safeSend(t.ws, {
+    type: "broadcast:started",
+    takeover: true,
+    resumeToken: st.resumeToken,
+    visibility: st.visibility,
+    chat: st.chat,
+    muted: [...st.muted]
+  });
+  for (const f of st.pending) safeSend(t.ws, { type: "listen:request", flat_id: f });
+  for (const f of st.hands) safeSend(t.ws, { type: "hand:raised", flat_id: f });
+
+  // station may be waiting on the old device; this clears once signaling is attached too
+  endStationGrace(flat_id, st);
+}
+
+// Remove a station and drop its listeners back to idle
+// reason: STOP | DISCONNECT | KICKED | BANNED
+function endStation(flat_id, reason) {
+  const st = live.stations.get(flat_id);
+  if (!st) return;
+  if (st.reconnecting) clearTimeout(st.reconnecting.timer);
+  if (st.takeover) cancelTakeover(st, "STATION_ENDED");
+  recordStationEnd(st, reason);
+  closeRecording(st);
+
+  for (const sock of st.listeners) {
+    const lc = live.clients.get(sock);
+    if (lc) {
+      lc.role = "idle";
+      lc.listeningTo = null;
+    }
+  }
+  live.stations.delete(flat_id);
+  relayTrees.delete(flat_id);
+  pushPresence({ type: "station:down", id: flat_id });
+}
+
+// 🔒 Banned flats: end their station + listening and close every socket they hold
+function kickFlatFromLive(flat_id, reason, extra = {}) {
+  endStation(flat_id, "BANNED");
+
+  for (const [ws, c] of live.clients.entries()) {
+    if (c.flat_id !== flat_id) continue;
+    if (c.listeningTo) {
+      live.stations.get(c.listeningTo)?.listeners.delete(ws);
+      pushListenerCount(c.listeningTo);
+    }
+    c.role = "idle";
+    c.listeningTo = null;
+    safeSend(ws, { type: "kicked", reason, ...extra });
+    try { ws.close(1008, reason); } catch { }
+  }
+
+  for (const [ws, sc] of signalClients.entries()) {
+    if (sc.flat_id !== flat_id) continue;
+
+    // tell the feeding device to drop the peer connection right away
+    leaveSignalStation(sc);
+    try { ws.close(1008, reason); } catch { }
+  }
+}
+
+async function applyStrike(flat_id, source, meta) {
+  const out = await addStrike(query, {
+    flat_id,
+    source,
+    meta,
+    banStepsMs: STRIKE_BAN_STEPS_MS,
+    revokeLimit: STRIKE_REVOKE_LIMIT
+  });
+
+  if (out.ok && out.banned) {
+    kickFlatFromLive(out.flat_id, out.requires_admin_revoke ? "ADMIN_REVOKE_REQUIRED" : "BANNED", {
+      ban_until: out.ban_until
+    });
+  }
+  return out;
+}
+
+// Point-in-time copy of one station (stored with reports)
+function buildStationSnapshot(flat_id) {
+  const st = live.stations.get(flat_id);
+  if (!st) return null;
+
+  const listeners = [];
+  for (const ws of st.listeners) {
+    const c = live.clients.get(ws);
+    if (c) listeners.push(c.flat_id);
+  }
+
+  return {
+    flat_id,
+    ip: st.ip,
+    startedAt: st.startedAt,
+    capturedAt: Date.now(),
+    audio: { ...(st.audio || {}) },
+    listeners,
+    chat: st.chat.slice(-20)
+  };
+}
+
 function buildInternalSnapshot() {
   const stations = [];
   for (const [broadcaster, st] of live.stations.entries()) {
@@ -145,6 +645,10 @@ function buildInternalSnapshot() {
         flat_id: broadcaster,
         ip: st.ip,
         startedAt: st.startedAt,
+        visibility: st.visibility,
+        reconnectingSince: st.reconnecting?.since || null,
+        cohost: st.cohost,
+        hands: [...st.hands],
         audio: st.audio || {
           micOn: false,
           sysOn: false,
@@ -153,7 +657,8 @@ function buildInternalSnapshot() {
           micLevel: 0
         }
       },
-      listeners
+      listeners,
+      relayTree: buildRelayTree(broadcaster)
     });
   }
 
@@ -168,98 +673,803 @@ function buildInternalSnapshot() {
     });
   }
 
-  return {
-    ok: true,
-    ts: Date.now(),
-    uptimeSec: Math.floor((Date.now() - live.startedAt) / 1000),
-    totals: {
-      wsClients: live.clients.size,
-      stations: live.stations.size
-    },
-    stations,
-    clients
-  };
+  return {
+    ok: true,
+    ts: Date.now(),
+    uptimeSec: Math.floor((Date.now() - live.startedAt) / 1000),
+    totals: {
+      wsClients: live.clients.size,
+      stations: live.stations.size
+    },
+    stations,
+    clients
+  };
+}
+
+// Pages
+app.get("/", (req, res) => res.redirect("/login"));
+app.get("/login", (req, res) => res.sendFile(path.join(__dirname, "public", "login.html")));
+app.get("/setup", (req, res) => res.sendFile(path.join(__dirname, "public", "setup.html")));
+app.get("/app", requireUser, (req, res) => res.sendFile(path.join(__dirname, "public", "app.html")));
+
+// APIs
+
+// ✅ async + await because Postgres calls are async
+app.post("/api/request-access", async (req, res) => {
+  const { flat_id, name } = req.body || {};
+  const out = await createAccessRequest(query, { flat_id, name });
+  if (!out.ok) return res.status(400).json(out);
+  res.json(out);
+});
+
+function authKeys(scope, flat_id, req) {
+  return {
+    flatKey: `${scope}:flat:${normalizeFlatId(flat_id)}`,
+    ipKey: `${scope}:ip:${getIP(req)}`
+  };
+}
+
+// Runs an auth attempt behind the brute-force throttle; returns the handler result
+// or a TOO_MANY_ATTEMPTS error with retry_after (seconds)
+async function throttledAuth(scope, flat_id, req, attempt) {
+  const { flatKey, ipKey } = authKeys(scope, flat_id, req);
+  const keys = [flatKey, ipKey];
+
+  // counted up front; anything but a wrong guess gets the attempt back
+  const gate = await reserveAuthAttempt(query, { keys, limits: AUTH_LIMITS });
+  if (!gate.ok) return gate;
+
+  let out;
+  try {
+    out = await attempt();
+  } catch (e) {
+    await refundAuthAttempt(query, { reserved: gate.reserved });
+    throw e;
+  }
+
+  if (!out.ok && AUTH_GUESS_ERRORS.has(out.error)) {
+    const retry_after = reservedRetryAfter(gate.reserved);
+    if (retry_after) out.retry_after = retry_after;
+  } else {
+    await refundAuthAttempt(query, { reserved: gate.reserved });
+    // only the flat counter: a valid login must not reset the shared IP counter
+    if (out.ok) await clearAuthFailures(query, { keys: [flatKey] });
+  }
+  return out;
+}
+
+app.post("/api/setup-pin", async (req, res) => {
+  const { flat_id, code, pin4, password } = req.body || {};
+  const out = await throttledAuth("setup", flat_id, req, () =>
+    setupPinWithCode(query, { flat_id, code, pin4, password })
+  );
+  if (!out.ok) return res.status(out.error === "TOO_MANY_ATTEMPTS" ? 429 : 400).json(out);
+  res.json(out);
+});
+
+// Forgotten PIN: request → admin issues RESET code → redeem (rotates credentials, signs out everywhere)
+app.post("/api/request-reset", async (req, res) => {
+  const { flat_id, name } = req.body || {};
+  const out = await createResetRequest(query, { flat_id, name });
+  if (!out.ok) return res.status(400).json(out);
+  res.json(out);
+});
+
+app.post("/api/reset-pin", async (req, res) => {
+  const { flat_id, code, pin4, password } = req.body || {};
+  const out = await throttledAuth("reset", flat_id, req, () =>
+    resetPinWithCode(query, { flat_id, code, pin4, password })
+  );
+  if (!out.ok) return res.status(out.error === "TOO_MANY_ATTEMPTS" ? 429 : 400).json(out);
+
+  closeOtherSessionSockets(normalizeFlatId(flat_id), null);
+  res.json(out);
+});
+
+// ✅ async + await
+app.get("/api/setup-status", async (req, res) => {
+  const flat_id = req.query.flat_id;
+  const out = await getSetupStatus(query, { flat_id });
+  if (!out.ok) return res.status(400).json(out);
+  res.json(out);
+});
+
+app.post("/api/login", async (req, res) => {
+  const { flat_id, pin4, password, remember } = req.body || {};
+  const out = await throttledAuth("login", flat_id, req, () => loginFlat(query, { flat_id, pin4, password }));
+
+  if (!out.ok) return res.status(out.error === "TOO_MANY_ATTEMPTS" ? 429 : 401).json(out);
+
+  req.session.user = { flat_id: normalizeFlatId(flat_id) };
+
+  // remember me
+  if (remember === "1" || remember === "on") {
+    req.session.cookie.maxAge = 30 * 24 * 60 * 60 * 1000;
+  } else {
+    req.session.cookie.expires = false;
+  }
+
+  req.session.save(() => res.json({ ok: true, flat_id: req.session.user.flat_id }));
+});
+
+app.post("/api/logout", (req, res) => {
+  // Always respond OK + clear cookie (helps mobile + latency)
+  req.session.destroy(() => {
+    res.clearCookie("audix_user_sid", { path: "/" });
+    res.json({ ok: true });
+  });
+});
+
+
+// ---- Account (self-service PIN / password) ----
+
+// Close live sockets opened from the flat's other sessions
+function closeOtherSessionSockets(flat_id, keepSid) {
+  for (const [ws, c] of live.clients.entries()) {
+    if (c.flat_id === flat_id && c.sid !== keepSid) {
+      if (c.role === "broadcaster") endStation(flat_id, "KICKED");
+      safeSend(ws, { type: "kicked", reason: "SIGNED_OUT" });
+      try { ws.close(1008, "signed out"); } catch { }
+    }
+  }
+  for (const [ws, sc] of signalClients.entries()) {
+    if (sc.flat_id === flat_id && sc.sid !== keepSid) {
+      try { ws.close(1008, "signed out"); } catch { }
+    }
+  }
+}
+
+async function signOutOtherSessions(req) {
+  const flat_id = req.session.user.flat_id;
+  const out = await destroyFlatSessions(query, { flat_id, keep_sid: req.sessionID });
+  closeOtherSessionSockets(flat_id, req.sessionID);
+  return out.removed;
+}
+
+app.get("/api/account", requireUser, async (req, res) => {
+  const out = await getAccountInfo(query, { flat_id: req.session.user.flat_id });
+  if (!out.ok) return res.status(400).json(out);
+  res.json(out);
+});
+
+app.post("/api/account/pin", requireUser, async (req, res) => {
+  const { current_pin4, current_password, new_pin4, signout_others } = req.body || {};
+  const flat_id = req.session.user.flat_id;
+
+  const out = await throttledAuth("account", flat_id, req, () =>
+    changePin(query, { flat_id, current_pin4, current_password, new_pin4 })
+  );
+  if (!out.ok) return res.status(out.error === "TOO_MANY_ATTEMPTS" ? 429 : 400).json(out);
+
+  if (signout_others) out.signedOut = await signOutOtherSessions(req);
+  res.json(out);
+});
+
+app.post("/api/account/password", requireUser, async (req, res) => {
+  const { current_pin4, current_password, new_password, signout_others } = req.body || {};
+  const flat_id = req.session.user.flat_id;
+
+  const out = await throttledAuth("account", flat_id, req, () =>
+    changePassword(query, { flat_id, current_pin4, current_password, new_password })
+  );
+  if (!out.ok) return res.status(out.error === "TOO_MANY_ATTEMPTS" ? 429 : 400).json(out);
+
+  if (signout_others) out.signedOut = await signOutOtherSessions(req);
+  res.json(out);
+});
+
+app.post("/api/account/signout-others", requireUser, async (req, res) => {
+  const signedOut = await signOutOtherSessions(req);
+  res.json({ ok: true, signedOut });
+});
+
+// Internal PIN reset queue (admin hands the code to the resident in person)
+app.get("/api/internal/pin-resets", requireLiveToken, async (req, res) => {
+  const out = await listResetRequests(query, { status: req.query.status });
+  res.json(out);
+});
+
+app.post("/api/internal/pin-resets/:id/issue", requireLiveToken, async (req, res) => {
+  const out = await issueResetCode(query, { id: req.params.id, ttlMs: RESET_CODE_TTL_MS });
+  if (!out.ok) return res.status(400).json(out);
+  res.json(out);
+});
+
+app.post("/api/internal/pin-resets/:id/reject", requireLiveToken, async (req, res) => {
+  const out = await rejectResetRequest(query, { id: req.params.id });
+  if (!out.ok) return res.status(400).json(out);
+  res.json(out);
+});
+
+// Broadcaster mixer settings (processing chain, mic), follow the flat across devices
+app.get("/api/mixer-settings", requireUser, async (req, res) => {
+  const settings = await getMixerSettings(query, { flat_id: req.session.user.flat_id });
+  res.json({ ok: true, settings });
+});
+
+app.post("/api/mixer-settings", requireUser, async (req, res) => {
+  const out = await saveMixerSettings(query, { flat_id: req.session.user.flat_id, settings: req.body?.settings });
+  if (!out.ok) return res.status(400).json(out);
+  res.json(out);
+});
+
+// Station profile (title, description, category, emoji, colour)
+app.get("/api/profile", requireUser, async (req, res) => {
+  const profile = await getStationProfile(query, { flat_id: req.session.user.flat_id });
+  res.json({ ok: true, profile });
+});
+
+app.post("/api/profile", requireUser, async (req, res) => {
+  const flat_id = req.session.user.flat_id;
+  const { title, description, category, emoji, color } = req.body || {};
+  const out = await saveStationProfile(query, { flat_id, title, description, category, emoji, color });
+  if (!out.ok) return res.status(400).json(out);
+
+  // already live: update the card for everyone
+  const st = live.stations.get(flat_id);
+  if (st) {
+    st.profile = out.profile;
+    pushStationUp(flat_id);
+  }
+  res.json(out);
+});
+
+// ---- Station chat (over presence; audience = broadcaster + current listeners) ----
+const chatRate = new Map(); // flat_id -> recent send timestamps
+
+function chatAllowed(flat_id) {
+  const now = Date.now();
+  const recent = (chatRate.get(flat_id) || []).filter((t) => t > now - CHAT_RATE_WINDOW_MS);
+  if (recent.length >= CHAT_RATE_COUNT) {
+    chatRate.set(flat_id, recent);
+    return false;
+  }
+  recent.push(now);
+  chatRate.set(flat_id, recent);
+  return true;
+}
+
+function pushChat(st, obj) {
+  safeSend(st.ownerWs, obj);
+  for (const ws of st.listeners) safeSend(ws, obj);
+}
+
+function handleChatMessage(ws, client, msg) {
+  const stationId = normalizeFlatId(msg.stationId);
+  const st = live.stations.get(stationId);
+  if (!st) return safeSend(ws, { type: "chat:error", error: "STATION_OFFLINE" });
+
+  const isOwner = st.ownerWs === ws;
+  const inAudience = isOwner || (client.listeningTo === stationId && st.listeners.has(ws));
+  if (!inAudience) return safeSend(ws, { type: "chat:error", error: "NOT_IN_STATION" });
+
+  if (msg.type === "chat:send") {
+    const text = String(msg.text || "").replace(/\s+/g, " ").trim();
+    if (!text) return;
+    if (text.length > CHAT_MAX_LEN) return safeSend(ws, { type: "chat:error", error: "TOO_LONG", max: CHAT_MAX_LEN });
+    if (st.muted.has(client.flat_id)) return safeSend(ws, { type: "chat:error", error: "MUTED" });
+    if (!chatAllowed(client.flat_id)) return safeSend(ws, { type: "chat:error", error: "RATE_LIMITED" });
+
+    const m = { id: makeId(), flat_id: client.flat_id, text, ts: Date.now() };
+    st.chat.push(m);
+    if (st.chat.length > CHAT_HISTORY) st.chat.splice(0, st.chat.length - CHAT_HISTORY);
+
+    pushChat(st, { type: "chat:msg", stationId, msg: m });
+    saveChatMessage(query, { msg_uid: m.id, station_flat: stationId, flat_id: m.flat_id, text, created_at: m.ts })
+      .catch((e) => console.error("[DB] chat save failed:", e.message));
+    return;
+  }
+
+  // moderation: broadcaster only
+  if (!isOwner) return safeSend(ws, { type: "chat:error", error: "NOT_BROADCASTER" });
+
+  if (msg.type === "chat:delete") {
+    const idx = st.chat.findIndex((m) => m.id === msg.id);
+    if (idx < 0) return;
+    st.chat.splice(idx, 1);
+    pushChat(st, { type: "chat:deleted", stationId, id: msg.id });
+    markChatDeleted(query, { msg_uid: String(msg.id), station_flat: stationId })
+      .catch((e) => console.error("[DB] chat delete failed:", e.message));
+    return;
+  }
+
+  if (msg.type === "chat:mute" || msg.type === "chat:unmute") {
+    const who = normalizeFlatId(msg.flat_id);
+    if (!who || who === stationId) return;
+    if (msg.type === "chat:mute") st.muted.add(who);
+    else st.muted.delete(who);
+    pushChat(st, { type: "chat:muted", stationId, flat_id: who, muted: st.muted.has(who) });
+  }
+}
+
+// ---- Raise hand / co-host (one co-host at a time; their mic goes back to the broadcaster) ----
+function revokeCohost(owner_flat, st, reason) {
+  const who = st.cohost;
+  if (!who) return;
+  st.cohost = null;
+
+  for (const sock of presenceSocketsOf(who)) {
+    safeSend(sock, { type: "cohost:revoked", targetFlat: owner_flat, reason });
+  }
+  safeSend(st.ownerWs, { type: "cohost:state", flat_id: null, previous: who, reason });
+}
+
+// Listener left the station: forget their hand / co-host slot
+function dropFromStage(owner_flat, flat_id) {
+  const st = owner_flat && live.stations.get(owner_flat);
+  if (!st) return;
+  if (st.hands.delete(flat_id)) safeSend(st.ownerWs, { type: "hand:lowered", flat_id });
+  if (st.cohost === flat_id) revokeCohost(owner_flat, st, "LEFT");
+}
+
+function handleStageMessage(ws, client, msg) {
+  if (msg.type === "hand:raise" || msg.type === "hand:lower") {
+    const target = normalizeFlatId(msg.targetFlat);
+    const st = live.stations.get(target);
+    if (!st || client.listeningTo !== target) return;
+
+    if (msg.type === "hand:raise") {
+      if (st.cohost === client.flat_id) return;
+      st.hands.add(client.flat_id);
+      safeSend(st.ownerWs, { type: "hand:raised", flat_id: client.flat_id });
+    } else {
+      dropFromStage(target, client.flat_id);
+    }
+    return;
+  }
+
+  // broadcaster side
+  const st = live.stations.get(client.flat_id);
+  if (!st || st.ownerWs !== ws) return;
+  const who = normalizeFlatId(msg.flat_id);
+
+  if (msg.type === "cohost:accept") {
+    const stillListening = [...st.listeners].some((sock) => live.clients.get(sock)?.flat_id === who);
+    if (!st.hands.has(who) || !stillListening) {
+      st.hands.delete(who);
+      safeSend(ws, { type: "hand:lowered", flat_id: who });
+      return;
+    }
+
+    if (st.cohost) revokeCohost(client.flat_id, st, "REPLACED");
+    st.hands.delete(who);
+    st.cohost = who;
+
+    for (const sock of presenceSocketsOf(who)) {
+      safeSend(sock, { type: "cohost:accepted", targetFlat: client.flat_id });
+    }
+    safeSend(ws, { type: "cohost:state", flat_id: who });
+    return;
+  }
+
+  if (msg.type === "hand:dismiss") {
+    if (st.hands.delete(who)) {
+      for (const sock of presenceSocketsOf(who)) {
+        safeSend(sock, { type: "hand:dismissed", targetFlat: client.flat_id });
+      }
+    }
+    return;
+  }
+
+  if (msg.type === "cohost:revoke" && st.cohost === who) {
+    revokeCohost(client.flat_id, st, "REVOKED");
+  }
+}
+
+// Drop one flat from a station: presence count + peer connection (broadcaster gets listener:leave)
+function ejectListener(owner_flat, listener_flat, reason) {
+  const st = live.stations.get(owner_flat);
+  if (st) {
+    st.approved.delete(listener_flat);
+    st.pending.delete(listener_flat);
+  }
+
+  for (const [ws, c] of live.clients.entries()) {
+    if (c.flat_id !== listener_flat || c.listeningTo !== owner_flat) continue;
+    dropFromStage(owner_flat, listener_flat);
+    st?.listeners.delete(ws);
+    c.role = "idle";
+    c.listeningTo = null;
+    safeSend(ws, { type: "listen:error", targetFlat: owner_flat, error: reason });
+  }
+  pushListenerCount(owner_flat);
+
+  for (const [ws, sc] of signalClients.entries()) {
+    if (sc.flat_id !== listener_flat || sc.listeningTo !== owner_flat) continue;
+    leaveSignalStation(sc); // parent gets listener:leave, children are re-homed
+    safeSend(ws, { type: "listen:error", targetFlat: owner_flat, error: reason });
+  }
+}
+
+// Block list (per broadcaster)
+app.get("/api/blocks", requireUser, async (req, res) => {
+  const out = await listBlocks(query, { owner_flat: req.session.user.flat_id });
+  res.json(out);
+});
+
+app.post("/api/blocks", requireUser, async (req, res) => {
+  const owner_flat = req.session.user.flat_id;
+  const out = await addBlock(query, { owner_flat, blocked_flat: req.body?.flat_id });
+  if (!out.ok) return res.status(400).json(out);
+
+  if (!blockLists.has(owner_flat)) blockLists.set(owner_flat, new Set());
+  blockLists.get(owner_flat).add(out.blocked_flat);
+
+  // already listening: cut them off now
+  ejectListener(owner_flat, out.blocked_flat, "BLOCKED");
+  res.json(out);
+});
+
+app.post("/api/blocks/remove", requireUser, async (req, res) => {
+  const owner_flat = req.session.user.flat_id;
+  let out;
+  try {
+    out = await removeBlock(query, { owner_flat, blocked_flat: req.body?.flat_id });
+  } catch (e) {
+    console.error("[DB] block remove failed:", e.message);
+    return res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+  if (!out.ok) return res.status(out.error === "NOT_BLOCKED" ? 404 : 400).json(out);
+
+  blockLists.get(owner_flat)?.delete(out.blocked_flat);
+  res.json(out);
+});
+
+// Broadcast history: own sessions for residents, whole society for admin tooling
+app.get("/api/history", requireUser, async (req, res) => {
+  const { before, limit } = req.query;
+  try {
+    const out = await listBroadcastSessions(query, { flat_id: req.session.user.flat_id, before, limit });
+    if (!out.ok) return res.status(400).json(out);
+    res.json(out);
+  } catch (e) {
+    console.error("[DB] history failed:", e.message);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+});
+
+// ICE config for peer connections; TURN credentials expire after TURN_TTL_SEC
+function buildIceConfig(flat_id) {
+  const iceServers = [];
+  if (ICE_STUN_URLS.length) iceServers.push({ urls: ICE_STUN_URLS });
+
+  // without TURN the config never expires; clients still re-check once a day
+  let ttl = 24 * 60 * 60;
+  if (ICE_TURN_URLS.length && TURN_SECRET) {
+    ttl = TURN_TTL_SEC;
+    const username = `${Math.floor(Date.now() / 1000) + ttl}:${flat_id}`;
+    const credential = crypto.createHmac("sha1", TURN_SECRET).update(username).digest("base64");
+    iceServers.push({ urls: ICE_TURN_URLS, username, credential });
+  }
+
+  return { ok: true, iceServers, ttl, expiresAt: Date.now() + ttl * 1000 };
+}
+
+app.get("/api/ice-config", requireUser, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json(buildIceConfig(req.session.user.flat_id));
+});
+
+// Only the session whose presence socket owns the live station (not another device of the flat)
+function requireBroadcaster(req, res, next) {
+  const st = live.stations.get(req.session.user.flat_id);
+  if (!st) return res.status(400).json({ ok: false, error: "STATION_OFFLINE" });
+  if (live.clients.get(st.ownerWs)?.sid !== req.sessionID) {
+    return res.status(403).json({ ok: false, error: "NOT_BROADCASTER" });
+  }
+  next();
+}
+
+// express.raw, but an oversized chunk answers JSON like every other error
+const readRecordingBody = express.raw({ type: () => true, limit: RECORDING_CHUNK_LIMIT });
+function recordingBody(req, res, next) {
+  readRecordingBody(req, res, (err) => {
+    if (err?.type === "entity.too.large") return res.status(413).json({ ok: false, error: "CHUNK_TOO_LARGE" });
+    next(err);
+  });
+}
+
+// Recording upload: raw MediaRecorder chunks, in order, only from the live broadcaster
+app.post(
+  "/api/recordings/chunk",
+  requireUser,
+  requireBroadcaster,
+  recordingBody,
+  async (req, res) => {
+    const flat_id = req.session.user.flat_id;
+    const st = live.stations.get(flat_id);
+    if (!st) return res.status(400).json({ ok: false, error: "STATION_OFFLINE" });
+
+    const seq = Number(req.query.seq);
+    const mime = String(req.headers["content-type"] || "");
+    const body = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!body?.length) return res.status(400).json({ ok: false, error: "EMPTY_CHUNK" });
+
+    let rec = st.recording;
+    if (!rec) {
+      if (seq !== 0) return res.status(409).json({ ok: false, error: "NOT_RECORDING" });
+      if (!RECORDING_MIME.test(mime)) return res.status(415).json({ ok: false, error: "UNSUPPORTED_TYPE" });
+      rec = openRecording(flat_id, st, mime);
+    }
+
+    if (rec.writing || seq !== rec.nextSeq) {
+      return res.status(409).json({ ok: false, error: "OUT_OF_ORDER", expected: rec.nextSeq });
+    }
+    if (rec.bytes + body.length > RECORDING_MAX_BYTES) return res.status(413).json({ ok: false, error: "RECORDING_FULL" });
+
+    // counters move only once the bytes are on disk; a failed write leaves seq retryable
+    rec.writing = true;
+    try {
+      await fs.appendFile(recordingPath(rec.file_name), body);
+    } catch (e) {
+      console.error("[REC] write failed:", e.message);
+      return res.status(500).json({ ok: false, error: "WRITE_FAILED" });
+    } finally {
+      rec.writing = false;
+    }
+    rec.nextSeq++;
+    rec.bytes += body.length;
+    res.json({ ok: true, bytes: rec.bytes });
+  }
+);
+
+// Replays: finished recordings this flat may hear (own, public, or allowed when it was live)
+app.get("/api/recordings", requireUser, async (req, res) => {
+  const viewer_flat = req.session.user.flat_id;
+  const exclude_owners = [];
+  for (const [owner, blocked] of blockLists.entries()) {
+    if (blocked.has(viewer_flat)) exclude_owners.push(owner);
+  }
+
+  try {
+    const out = await listRecordings(query, { viewer_flat, exclude_owners, before: req.query.before });
+    if (!out.ok) return res.status(400).json(out);
+    res.json(out);
+  } catch (e) {
+    console.error("[DB] recordings list failed:", e.message);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+});
+
+app.get("/api/recordings/:id/audio", requireUser, async (req, res) => {
+  let row;
+  try {
+    row = await getRecording(query, { id: req.params.id });
+  } catch (e) {
+    console.error("[DB] recording lookup failed:", e.message);
+    return res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+  if (!row || !row.ended_at || !canReplay(row, req.session.user.flat_id)) {
+    return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+  }
+
+  // sendFile handles Range requests so the player can seek
+  res.type(row.mime);
+  res.sendFile(recordingPath(row.file_name), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ ok: false, error: "NOT_FOUND" });
+  });
+});
+
+app.post("/api/recordings/:id/delete", requireUser, async (req, res) => {
+  let out;
+  try {
+    out = await deleteRecording(query, { id: req.params.id, flat_id: req.session.user.flat_id });
+  } catch (e) {
+    console.error("[DB] recording delete failed:", e.message);
+    return res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+  if (!out.ok) return res.status(404).json(out);
+
+  await fs.unlink(recordingPath(out.file_name)).catch(() => { });
+  res.json({ ok: true, id: out.id });
+});
+
+// ---- Soundboard ----
+function clipPath(file_name) {
+  return path.join(SOUNDBOARD_DIR, file_name);
 }
 
-// Pages
-app.get("/", (req, res) => res.redirect("/login"));
-app.get("/login", (req, res) => res.sendFile(path.join(__dirname, "public", "login.html")));
-app.get("/setup", (req, res) => res.sendFile(path.join(__dirname, "public", "setup.html")));
-app.get("/app", requireUser, (req, res) => res.sendFile(path.join(__dirname, "public", "app.html")));
+function padParam(req) {
+  const pad = Number(req.params.pad);
+  return Number.isInteger(pad) && pad >= 1 && pad <= SOUNDBOARD_PADS ? pad : null;
+}
 
-// APIs
+// Checked before the upload body is read
+function requirePad(req, res, next) {
+  if (!padParam(req)) return res.status(400).json({ ok: false, error: "BAD_PAD" });
+  next();
+}
 
-// ✅ async + await because Postgres calls are async
-app.post("/api/request-access", async (req, res) => {
-  const { flat_id, name } = req.body || {};
-  const out = await createAccessRequest(query, { flat_id, name });
-  if (!out.ok) return res.status(400).json(out);
-  res.json(out);
-});
+// express.raw, but an oversized clip answers JSON like every other error
+const readClipBody = express.raw({ type: () => true, limit: SOUNDBOARD_MAX_BYTES });
+function clipBody(req, res, next) {
+  readClipBody(req, res, (err) => {
+    if (err?.type === "entity.too.large") {
+      return res.status(413).json({ ok: false, error: "CLIP_TOO_LARGE", max_bytes: SOUNDBOARD_MAX_BYTES });
+    }
+    next(err);
+  });
+}
 
-app.post("/api/setup-pin", async (req, res) => {
-  const { flat_id, code, pin4, password } = req.body || {};
-  const out = await setupPinWithCode(query, { flat_id, code, pin4, password });
-  if (!out.ok) return res.status(400).json(out);
-  res.json(out);
+app.get("/api/soundboard", requireUser, async (req, res) => {
+  const out = await listSoundboardClips(query, { flat_id: req.session.user.flat_id });
+  res.json({ ...out, pads: SOUNDBOARD_PADS, max_bytes: SOUNDBOARD_MAX_BYTES, max_ms: SOUNDBOARD_MAX_MS });
 });
 
-// ✅ async + await
-app.get("/api/setup-status", async (req, res) => {
-  const flat_id = req.query.flat_id;
-  const out = await getSetupStatus(query, { flat_id });
-  if (!out.ok) return res.status(400).json(out);
-  res.json(out);
+// Upload/replace the clip on a pad: raw file body, ?name= for the label
+app.post("/api/soundboard/:pad", requireUser, requirePad, clipBody, async (req, res) => {
+  const pad = padParam(req);
+  const body = Buffer.isBuffer(req.body) ? req.body : null;
+  if (!body?.length) return res.status(400).json({ ok: false, error: "EMPTY_CLIP" });
+
+  const meta = readClipMeta(body);
+  if (!meta) return res.status(415).json({ ok: false, error: "UNSUPPORTED_AUDIO" });
+  if (meta.duration_ms > SOUNDBOARD_MAX_MS) {
+    return res.status(413).json({ ok: false, error: "CLIP_TOO_LONG", max_ms: SOUNDBOARD_MAX_MS });
+  }
+
+  const { ext, mime } = CLIP_FORMATS[meta.format];
+  const file_name = `${crypto.randomUUID()}.${ext}`;
+  const tmp = clipPath(`${file_name}.part`);
+
+  // temp file -> row -> rename: a failed write or insert leaves nothing behind
+  try {
+    await fs.writeFile(tmp, body);
+    const out = await saveSoundboardClip(query, {
+      flat_id: req.session.user.flat_id,
+      pad,
+      name: req.query.name,
+      file_name,
+      mime,
+      bytes: body.length,
+      duration_ms: meta.duration_ms
+    });
+    await fs.rename(tmp, clipPath(file_name));
+
+    if (out.old_file) await fs.unlink(clipPath(out.old_file)).catch(() => { });
+    res.json({ ok: true, clip: out.clip });
+  } catch (e) {
+    console.error("[SOUNDBOARD] save failed:", e.message);
+    await fs.unlink(tmp).catch(() => { });
+    res.status(500).json({ ok: false, error: "WRITE_FAILED" });
+  }
 });
 
-app.post("/api/login", async (req, res) => {
-  const { flat_id, pin4, password, remember } = req.body || {};
-  const out = await loginFlat(query, { flat_id, pin4, password });
+// Owner only; the client adds ?v=created_at so a replaced clip gets a new URL
+app.get("/api/soundboard/clips/:id", requireUser, async (req, res) => {
+  let row;
+  try {
+    row = await getSoundboardClip(query, { id: req.params.id, flat_id: req.session.user.flat_id });
+  } catch (e) {
+    console.error("[DB] soundboard clip lookup failed:", e.message);
+    return res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+  if (!row) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
 
-  if (!out.ok) return res.status(401).json(out);
+  res.set("Cache-Control", "private, max-age=31536000, immutable");
+  res.type(row.mime);
+  res.sendFile(clipPath(row.file_name), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ ok: false, error: "NOT_FOUND" });
+  });
+});
 
-  req.session.user = { flat_id: normalizeFlatId(flat_id) };
+app.post("/api/soundboard/:pad/delete", requireUser, async (req, res) => {
+  const pad = padParam(req);
+  if (!pad) return res.status(400).json({ ok: false, error: "BAD_PAD" });
 
-  // remember me
-  if (remember === "1" || remember === "on") {
-    req.session.cookie.maxAge = 30 * 24 * 60 * 60 * 1000;
-  } else {
-    req.session.cookie.expires = false;
-  }
+  const out = await deleteSoundboardClip(query, { flat_id: req.session.user.flat_id, pad });
+  if (!out.ok) return res.status(404).json(out);
 
-  req.session.save(() => res.json({ ok: true, flat_id: req.session.user.flat_id }));
+  await fs.unlink(clipPath(out.file_name)).catch(() => { });
+  res.json({ ok: true, pad });
 });
 
-app.post("/api/logout", (req, res) => {
-  // Always respond OK + clear cookie (helps mobile + latency)
-  req.session.destroy(() => {
-    res.clearCookie("audix_user_sid", { path: "/" });
-    res.json({ ok: true });
-  });
+app.get("/api/internal/broadcast-sessions", requireLiveToken, async (req, res) => {
+  const { flat, from, to, at, before, limit } = req.query;
+  try {
+    const out = await listBroadcastSessions(query, {
+      flat_id: flat,
+      from: at || from,
+      to: at || to,
+      before,
+      limit
+    });
+    if (!out.ok) return res.status(400).json(out);
+    res.json(out);
+  } catch (e) {
+    console.error("[DB] broadcast sessions failed:", e.message);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
 });
 
+// Stored chat for a station + time range (to check what a report cites)
+app.get("/api/internal/chat", requireLiveToken, async (req, res) => {
+  const { station, from, to, limit } = req.query;
+  if (!station) return res.status(400).json({ ok: false, error: "station required" });
+  try {
+    const out = await listChatMessages(query, { station_flat: station, from, to, limit });
+    if (!out.ok) return res.status(400).json(out);
+    res.json(out);
+  } catch (e) {
+    console.error("[DB] chat list failed:", e.message);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+});
 
 // Internal live snapshot (for admin later; includes IP + listener mapping)
 app.get("/api/internal/live-snapshot", requireLiveToken, (req, res) => {
   res.json(buildInternalSnapshot());
 });
 
-// Public live list (for users)
+// Public live list (fallback; the presence socket pushes the same list)
 app.get("/api/live", requireUser, (req, res) => {
   res.json({
     ok: true,
     flat_id: req.session.user.flat_id,
-    stations: buildPublicStations()
+    stations: buildPublicStations(req.session.user.flat_id)
   });
 });
 
-// Report (placeholder)
-app.post("/api/report", requireUser, (req, res) => {
-  const { stationId } = req.body || {};
+// Report a station (stores a snapshot of its live state for admin review)
+app.post("/api/report", requireUser, async (req, res) => {
+  const { stationId, reason, note } = req.body || {};
   if (!stationId) return res.status(400).json({ ok: false, error: "stationId required" });
-  res.json({ ok: true });
+
+  const station_flat = normalizeFlatId(stationId);
+  const station = buildStationSnapshot(station_flat);
+  if (!station) return res.status(400).json({ ok: false, error: "STATION_OFFLINE" });
+
+  const out = await createStationReport(query, {
+    reporter_flat: req.session.user.flat_id,
+    station_flat,
+    reason,
+    note,
+    live: station,
+    windowMs: REPORT_WINDOW_MS
+  });
+
+  if (!out.ok) return res.status(out.error === "ALREADY_REPORTED" ? 429 : 400).json(out);
+  res.json(out);
+});
+
+// Internal report queue (for admin tooling)
+app.get("/api/internal/reports", requireLiveToken, async (req, res) => {
+  const { status, station, before, limit } = req.query;
+  try {
+    const out = await listStationReports(query, { status, station_flat: station, before, limit });
+    if (!out.ok) return res.status(400).json(out);
+    res.json(out);
+  } catch (e) {
+    console.error("[DB] reports list failed:", e.message);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+});
+
+app.post("/api/internal/reports/:id/resolve", requireLiveToken, async (req, res) => {
+  const { status, note } = req.body || {};
+  const out = await resolveStationReport(query, { id: req.params.id, status, note });
+  if (!out.ok) return res.status(400).json(out);
+
+  // upheld reports count as a strike against the broadcaster
+  if (out.report.status === "UPHELD") {
+    out.strike = await applyStrike(out.report.station_flat, "REPORT", { report_id: out.report.id });
+  }
+  res.json(out);
+});
+
+// Manual strike from moderation tooling
+app.post("/api/internal/flats/:flat_id/strike", requireLiveToken, async (req, res) => {
+  const { note } = req.body || {};
+  const out = await applyStrike(req.params.flat_id, "MODERATION", { note: String(note || "").slice(0, 500) });
+  if (!out.ok) return res.status(400).json(out);
+  res.json(out);
 });
 
+// Recording retention: sweep on boot, then hourly (also runs after each recording ends)
+const sweepRecordings = () => pruneRecordings().catch((e) => console.error("[REC] retention sweep failed:", e.message));
+sweepRecordings();
+setInterval(sweepRecordings, 60 * 60 * 1000);
+
 const server = app.listen(PORT, () => {
   console.log(`AuDiX User server running: http://localhost:${PORT}`);
 });
@@ -267,11 +1477,46 @@ const server = app.listen(PORT, () => {
 const wssPresence = new WebSocketServer({ noServer: true });
 const wssSignal = new WebSocketServer({ noServer: true });
 
+function rejectUpgrade(socket, code, text) {
+  try {
+    socket.write(`HTTP/1.1 ${code} ${text}\r\nConnection: close\r\n\r\n`);
+  } catch { }
+  socket.destroy();
+}
+
+// 🔒 Load the express session for a WS upgrade; identity comes from here, never from the client
+function loadUpgradeSession(req) {
+  return new Promise((resolve) => {
+    sessionMiddleware(req, {}, () => resolve(req.session?.user?.flat_id || null));
+  });
+}
+
 // Route upgrades
-server.on("upgrade", (req, socket, head) => {
+server.on("upgrade", async (req, socket, head) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const pathname = url.pathname;
 
+  if (pathname !== "/ws/presence" && pathname !== "/ws/signal") {
+    socket.destroy();
+    return;
+  }
+
+  let flat_id;
+  try {
+    flat_id = await loadUpgradeSession(req);
+    if (!flat_id) return rejectUpgrade(socket, 401, "Unauthorized");
+
+    // 🔒 Disabled / banned flats keep their cookie but must not go live
+    const access = await getFlatAccess(query, { flat_id });
+    if (!access.ok) return rejectUpgrade(socket, 403, "Forbidden");
+  } catch (e) {
+    console.error("[WS] upgrade auth failed:", e.message);
+    return rejectUpgrade(socket, 500, "Internal Server Error");
+  }
+
+  req.audixFlatId = normalizeFlatId(flat_id);
+  req.audixSid = req.sessionID;
+
   if (pathname === "/ws/presence") {
     wssPresence.handleUpgrade(req, socket, head, (ws) => {
       wssPresence.emit("connection", ws, req);
@@ -283,10 +1528,7 @@ server.on("upgrade", (req, socket, head) => {
     wssSignal.handleUpgrade(req, socket, head, (ws) => {
       wssSignal.emit("connection", ws, req);
     });
-    return;
   }
-
-  socket.destroy();
 });
 
 function safeSend(ws, obj) {
@@ -298,7 +1540,8 @@ wssPresence.on("connection", (ws, req) => {
   const ip = getIP(req);
 
   const client = {
-    flat_id: null,
+    flat_id: req.audixFlatId,
+    sid: req.audixSid,
     ip,
     role: "idle", // idle | broadcaster | listener
     listeningTo: null,
@@ -307,6 +1550,9 @@ wssPresence.on("connection", (ws, req) => {
 
   live.clients.set(ws, client);
 
+  // initial station list; later changes arrive as station:* events
+  safeSend(ws, { type: "stations:snapshot", stations: buildPublicStations(client.flat_id) });
+
   // ✅ Heartbeat: kill "ghost" sockets (mobile tab close, flaky network)
   ws.isAlive = true;
   ws.on("pong", () => { ws.isAlive = true; });
@@ -331,7 +1577,11 @@ wssPresence.on("connection", (ws, req) => {
     }
 
     if (msg.type === "identify") {
-      client.flat_id = normalizeFlatId(msg.flat_id);
+      // identity is bound to the session; a different flat_id is refused
+      if (msg.flat_id && normalizeFlatId(msg.flat_id) !== client.flat_id) {
+        safeSend(ws, { type: "identify:error", error: "FLAT_MISMATCH" });
+        try { ws.close(1008, "flat mismatch"); } catch { }
+      }
       return;
     }
 
@@ -348,36 +1598,131 @@ wssPresence.on("connection", (ws, req) => {
       // if was listening, stop it
       if (client.listeningTo) {
         live.stations.get(client.listeningTo)?.listeners.delete(ws);
+        pushListenerCount(client.listeningTo);
         client.listeningTo = null;
       }
 
+      const { visibility, allow } = parseVisibility(msg);
+
       client.role = "broadcaster";
       live.stations.set(client.flat_id, {
         ip: client.ip,
         startedAt: Date.now(),
         listeners: new Set(),
-        audio: { micOn: false, sysOn: false, ptt: false, speaking: false, micLevel: 0 }
+        audio: { micOn: false, sysOn: false, ptt: false, speaking: false, micLevel: 0 },
+        ownerWs: ws,
+        visibility,
+        allow, // PRIVATE allowlist (also pre-approved for APPROVAL)
+        approved: new Set(), // APPROVAL: flats accepted live
+        pending: new Set(), // APPROVAL: flats waiting for a decision
+        chat: [], // rolling history for late joiners
+        muted: new Set(), // flats muted in chat by the broadcaster
+        hands: new Set(), // listeners with a raised hand
+        cohost: null, // listener flat currently allowed to send mic back
+        resumeToken: crypto.randomBytes(16).toString("hex"), // lets this device reattach after a drop
+        reconnecting: null, // { since, timer } while the broadcaster is away
+        takeover: null, // { ws, timer } another device of this flat asking to take the show
+        nowPlaying: null // playlist track title, set by the broadcaster's device
       });
+      safeSend(ws, { type: "broadcast:started", resumeToken: live.stations.get(client.flat_id).resumeToken });
+      recordStationStart(client.flat_id, live.stations.get(client.flat_id));
+      pushStationUp(client.flat_id);
+      loadStationProfile(client.flat_id, live.stations.get(client.flat_id));
 
       return;
     }
 
 
-    if (msg.type === "broadcast:stop") {
-      if (!client.flat_id) return;
+    // Same device back on a new presence socket (network switch): take the station back
+    if (msg.type === "broadcast:resume") {
+      const st = live.stations.get(client.flat_id);
+      if (!st || !msg.resumeToken || msg.resumeToken !== st.resumeToken) {
+        safeSend(ws, { type: "broadcast:resume:failed", reason: st ? "BAD_TOKEN" : "STATION_ENDED" });
+        return;
+      }
+
+      // old socket may not have timed out yet; it must not start a grace window when it does
+      const prev = st.ownerWs && st.ownerWs !== ws ? live.clients.get(st.ownerWs) : null;
+      if (prev) prev.role = "idle";
+
+      if (client.listeningTo) {
+        live.stations.get(client.listeningTo)?.listeners.delete(ws);
+        pushListenerCount(client.listeningTo);
+        client.listeningTo = null;
+      }
+
+      client.role = "broadcaster";
+      st.ownerWs = ws;
+      safeSend(ws, { type: "broadcast:resumed", id: client.flat_id });
+
+      // requests that arrived while away
+      for (const f of st.pending) safeSend(ws, { type: "listen:request", flat_id: f });
+      for (const f of st.hands) safeSend(ws, { type: "hand:raised", flat_id: f });
+
+      endStationGrace(client.flat_id, st);
+      return;
+    }
 
+    // Playlist track title shown on the station card (the audio itself goes over WebRTC)
+    if (msg.type === "broadcast:nowplaying") {
       const st = live.stations.get(client.flat_id);
-      if (st) {
-        for (const sock of st.listeners) {
-          const lc = live.clients.get(sock);
-          if (lc) {
-            lc.role = "idle";
-            lc.listeningTo = null;
-          }
-        }
+      if (!st || st.ownerWs !== ws) return;
+
+      const title = String(msg.title || "").replace(/\s+/g, " ").trim().slice(0, 120) || null;
+      if (title === st.nowPlaying) return;
+      st.nowPlaying = title;
+      pushStationUp(client.flat_id);
+      return;
+    }
+
+    // Another device of the same flat asks to take the live show over
+    if (msg.type === "broadcast:takeover") {
+      const st = live.stations.get(client.flat_id);
+      if (!st) {
+        safeSend(ws, { type: "takeover:declined", reason: "STATION_OFFLINE" });
+        return;
+      }
+      if (st.ownerWs === ws) return;
+      if (st.takeover && st.takeover.ws !== ws) {
+        safeSend(ws, { type: "takeover:declined", reason: "BUSY" });
+        return;
+      }
+
+      // live device is away (grace window): nobody to ask
+      if (!st.ownerWs) {
+        st.takeover = { ws, timer: null };
+        completeTakeover(client.flat_id, st);
+        return;
       }
 
-      live.stations.delete(client.flat_id);
+      clearTimeout(st.takeover?.timer);
+      st.takeover = { ws, timer: setTimeout(() => completeTakeover(client.flat_id, st), TAKEOVER_CONFIRM_MS) };
+      safeSend(st.ownerWs, { type: "takeover:request", autoMs: TAKEOVER_CONFIRM_MS });
+      safeSend(ws, { type: "takeover:pending", autoMs: TAKEOVER_CONFIRM_MS });
+      return;
+    }
+
+    if (msg.type === "takeover:answer") {
+      const st = live.stations.get(client.flat_id);
+      if (!st?.takeover || st.ownerWs !== ws) return;
+      if (msg.accept) completeTakeover(client.flat_id, st);
+      else cancelTakeover(st, "DECLINED");
+      return;
+    }
+
+    if (msg.type === "takeover:cancel") {
+      const st = live.stations.get(client.flat_id);
+      if (st?.takeover?.ws === ws) cancelTakeover(st, "CANCELLED");
+      return;
+    }
+
+    if (msg.type === "broadcast:stop") {
+      if (!client.flat_id) return;
+      // only the device running the show (another tab of the flat may be listening)
+      const st = live.stations.get(client.flat_id);
+      if (!st || st.ownerWs !== ws) return;
+
+      endStation(client.flat_id, "STOP");
       client.role = "idle";
       return;
     }
@@ -385,7 +1730,7 @@ wssPresence.on("connection", (ws, req) => {
     if (msg.type === "broadcast:status") {
       if (!client.flat_id) return;
       const st = live.stations.get(client.flat_id);
-      if (!st) return;
+      if (!st || st.ownerWs !== ws) return; // e.g. the old device's timer after a takeover
 
       st.audio = st.audio || {};
       st.audio.micOn = !!msg.micOn;
@@ -393,6 +1738,46 @@ wssPresence.on("connection", (ws, req) => {
       st.audio.ptt = !!msg.ptt;
       st.audio.speaking = !!msg.speaking;
       st.audio.micLevel = Number(msg.micLevel || 0);
+
+      if (st.history) {
+        st.history.usedMic = st.history.usedMic || st.audio.micOn;
+        st.history.usedSys = st.history.usedSys || st.audio.sysOn;
+      }
+      return;
+    }
+
+    // APPROVAL stations: listener asks, broadcaster decides over its presence socket
+    if (msg.type === "listen:request") {
+      const target = normalizeFlatId(msg.targetFlat);
+      const st = live.stations.get(target);
+      const reason = checkListenAccess(target, client.flat_id);
+
+      if (reason !== "APPROVAL_REQUIRED") {
+        safeSend(ws, reason ? { type: "listen:error", targetFlat: target, error: reason } : { type: "listen:approved", targetFlat: target });
+        return;
+      }
+
+      st.pending.add(client.flat_id);
+      safeSend(st.ownerWs, { type: "listen:request", flat_id: client.flat_id });
+      safeSend(ws, { type: "listen:pending", targetFlat: target });
+      return;
+    }
+
+    if (msg.type === "listen:approve" || msg.type === "listen:decline") {
+      const st = live.stations.get(client.flat_id);
+      if (!st || st.ownerWs !== ws) return;
+
+      const who = normalizeFlatId(msg.flat_id);
+      if (!st.pending.delete(who)) return;
+
+      const approved = msg.type === "listen:approve";
+      if (approved) st.approved.add(who);
+
+      for (const sock of presenceSocketsOf(who)) {
+        safeSend(sock, approved
+          ? { type: "listen:approved", targetFlat: client.flat_id }
+          : { type: "listen:error", targetFlat: client.flat_id, error: "DECLINED" });
+      }
       return;
     }
 
@@ -403,22 +1788,46 @@ wssPresence.on("connection", (ws, req) => {
 
       if (client.role === "broadcaster") return;
 
+      const denied = checkListenAccess(target, client.flat_id);
+      if (denied) {
+        safeSend(ws, { type: "listen:error", targetFlat: target, error: denied });
+        return;
+      }
+
       if (client.listeningTo && client.listeningTo !== target) {
         live.stations.get(client.listeningTo)?.listeners.delete(ws);
+        dropFromStage(client.listeningTo, client.flat_id);
+        pushListenerCount(client.listeningTo);
       }
 
       client.role = "listener";
       client.listeningTo = target;
       st.listeners.add(ws);
+      recordListenerJoin(st, client.flat_id);
+      pushListenerCount(target);
+      safeSend(ws, { type: "chat:history", stationId: target, messages: st.chat, muted: [...st.muted] });
+      return;
+    }
+
+    if (["hand:raise", "hand:lower", "hand:dismiss", "cohost:accept", "cohost:revoke"].includes(msg.type)) {
+      handleStageMessage(ws, client, msg);
+      return;
+    }
+
+    if (msg.type === "chat:send" || msg.type === "chat:delete" || msg.type === "chat:mute" || msg.type === "chat:unmute") {
+      handleChatMessage(ws, client, msg);
       return;
     }
 
     if (msg.type === "listen:stop") {
-      if (client.listeningTo) {
-        live.stations.get(client.listeningTo)?.listeners.delete(ws);
+      const prev = client.listeningTo;
+      if (prev) {
+        live.stations.get(prev)?.listeners.delete(ws);
+        dropFromStage(prev, client.flat_id);
       }
       client.role = "idle";
       client.listeningTo = null;
+      pushListenerCount(prev);
       return;
     }
   });
@@ -428,42 +1837,152 @@ wssPresence.on("connection", (ws, req) => {
     const c = live.clients.get(ws);
     if (!c) return;
 
+    live.clients.delete(ws);
+
+    const own = c.flat_id && live.stations.get(c.flat_id);
+    if (own?.takeover?.ws === ws) cancelTakeover(own, "CANCELLED");
+
     if (c.listeningTo) {
       live.stations.get(c.listeningTo)?.listeners.delete(ws);
+      dropFromStage(c.listeningTo, c.flat_id);
+      pushListenerCount(c.listeningTo);
     }
 
     if (c.role === "broadcaster" && c.flat_id) {
       const st = live.stations.get(c.flat_id);
-      if (st) {
-        for (const sock of st.listeners) {
-          const lc = live.clients.get(sock);
-          if (lc) {
-            lc.role = "idle";
-            lc.listeningTo = null;
-          }
-        }
+      if (st?.ownerWs === ws) {
+        st.ownerWs = null;
+        beginStationGrace(c.flat_id, st);
       }
-      live.stations.delete(c.flat_id);
     }
-
-    live.clients.delete(ws);
   });
 });
 
 // ---- WebRTC signaling state ----
-const signalClients = new Map(); // ws -> { id, flat_id, ip, role, listeningTo }
+const signalClients = new Map(); // ws -> { id, flat_id, sid, ip, role, listeningTo }
 const stationBroadcasterWS = new Map(); // flat_id -> ws
 
 function makeId() {
   return crypto.randomBytes(8).toString("hex");
 }
 
+// ---- Relay tree (per station) ----
+// Each listener peer connection is fed by its parent: the broadcaster (parentId null)
+// or another listener that forwards the stream it receives.
+const relayTrees = new Map(); // station flat_id -> Map<listenerId, { id, ws, flat_id, parentId, children:Set, canRelay, readyAt }>
+
+function relayTree(flat_id) {
+  if (!relayTrees.has(flat_id)) relayTrees.set(flat_id, new Map());
+  return relayTrees.get(flat_id);
+}
+
+function relaySubtree(tree, id, out = new Set()) {
+  out.add(id);
+  for (const c of tree.get(id)?.children || []) relaySubtree(tree, c, out);
+  return out;
+}
+
+// Shallowest stable relay with a free slot; null = the broadcaster itself
+function pickRelayParent(tree, exclude) {
+  const roots = [...tree.values()].filter((n) => n.parentId === null && !exclude.has(n.id));
+  if (RELAY_FANOUT <= 0 || roots.length < RELAY_ROOT_FANOUT) return null;
+
+  const now = Date.now();
+  let level = roots; // Map order = join order, so older listeners are tried first
+  while (level.length) {
+    for (const n of level) {
+      if (n.canRelay && n.readyAt && now - n.readyAt >= RELAY_STABLE_MS && n.children.size < RELAY_FANOUT) {
+        return n.id;
+      }
+    }
+    level = level.flatMap((n) => [...n.children].map((c) => tree.get(c)).filter((c) => c && !exclude.has(c.id)));
+  }
+  return null; // no relay free: broadcaster takes it over its soft limit
+}
+
+function relayParentWs(station, node) {
+  if (!node) return null;
+  if (node.parentId === null) return stationBroadcasterWS.get(station) || null;
+  return relayTrees.get(station)?.get(node.parentId)?.ws || null;
+}
+
+// Attach (or re-attach) a listener under a parent and ask that parent to offer
+function attachRelayNode(station, node, exclude) {
+  const tree = relayTree(station);
+  node.parentId = pickRelayParent(tree, exclude || new Set([node.id]));
+  if (node.parentId) tree.get(node.parentId).children.add(node.id);
+  tree.set(node.id, node);
+
+  const pws = relayParentWs(station, node);
+  if (pws) safeSend(pws, { type: "listener:join", listenerId: node.id });
+}
+
+// Remove a listener; its children move (with their own subtrees) to new parents
+function detachRelayNode(station, id) {
+  const tree = relayTrees.get(station);
+  const node = tree?.get(id);
+  if (!node) return;
+
+  const pws = relayParentWs(station, node);
+  if (pws) safeSend(pws, { type: "listener:leave", listenerId: id });
+  if (node.parentId) tree.get(node.parentId)?.children.delete(id);
+  tree.delete(id);
+
+  for (const childId of node.children) {
+    const child = tree.get(childId);
+    if (!child) continue;
+    child.readyAt = null; // not a stable source until its new feed is up
+    safeSend(child.ws, { type: "relay:reparent", targetFlat: station });
+    attachRelayNode(station, child, relaySubtree(tree, childId));
+  }
+}
+
+// For the internal snapshot
+function buildRelayTree(station) {
+  const tree = relayTrees.get(station);
+  if (!tree) return [];
+  const walk = (n) => ({
+    id: n.id,
+    flat_id: n.flat_id,
+    relaying: n.children.size > 0,
+    children: [...n.children].map((c) => tree.get(c)).filter(Boolean).map(walk)
+  });
+  return [...tree.values()].filter((n) => n.parentId === null).map(walk);
+}
+
+// Listener signal socket leaves its station (leave, close, block, ban)
+function leaveSignalStation(sc) {
+  if (!sc.listeningTo) return;
+  const target = sc.listeningTo;
+  sc.listeningTo = null;
+  detachRelayNode(target, sc.id);
+}
+
+// Broadcaster -> co-host signalling: only the station's live broadcaster socket, only to its current co-host
+function cohostListenerWs(ws, sc, listenerId) {
+  const st = live.stations.get(sc.flat_id);
+  if (!st?.cohost || stationBroadcasterWS.get(sc.flat_id) !== ws) return null;
+  const entry = [...signalClients.entries()].find(([, c]) => c.id === listenerId);
+  if (!entry || entry[1].flat_id !== st.cohost || entry[1].listeningTo !== sc.flat_id) return null;
+  return entry[0];
+}
+
+// Is this socket the parent that feeds listener `listenerId`?
+function relayChildOf(ws, sc, listenerId) {
+  const station = sc.role === "broadcaster" ? sc.flat_id : sc.listeningTo;
+  const node = station && relayTrees.get(station)?.get(listenerId);
+  if (!node) return null;
+  if (node.parentId === null) return stationBroadcasterWS.get(station) === ws ? node : null;
+  return node.parentId === sc.id ? node : null;
+}
+
 wssSignal.on("connection", (ws, req) => {
   const ip = getIP(req);
 
   const sc = {
     id: makeId(),
-    flat_id: null,
+    flat_id: req.audixFlatId,
+    sid: req.audixSid,
     ip,
     role: "unknown", // broadcaster | listener
     listeningTo: null
@@ -496,16 +2015,36 @@ wssSignal.on("connection", (ws, req) => {
     }
 
     if (msg.type === "identify") {
-      sc.flat_id = normalizeFlatId(msg.flat_id);
+      if (msg.flat_id && normalizeFlatId(msg.flat_id) !== sc.flat_id) {
+        safeSend(ws, { type: "identify:error", error: "FLAT_MISMATCH" });
+        try { ws.close(1008, "flat mismatch"); } catch { }
+        return;
+      }
+
       sc.role = msg.role === "broadcaster" ? "broadcaster" : "listener";
 
       if (sc.role === "broadcaster") {
-        // 🔒 If a broadcaster signal ws already exists for this flat, do not replace it
-        if (!stationBroadcasterWS.has(sc.flat_id)) {
-          stationBroadcasterWS.set(sc.flat_id, ws);
-        } else {
+        const st = live.stations.get(sc.flat_id);
+        const resuming = !!st && !!msg.resumeToken && msg.resumeToken === st.resumeToken;
+        const current = stationBroadcasterWS.get(sc.flat_id);
+
+        // 🔒 If a broadcaster signal ws already exists for this flat, only its own device (resume token) may replace it
+        if (current && !resuming) {
           safeSend(ws, { type: "broadcast:denied", reason: "ALREADY_BROADCASTING" });
           try { ws.close(1008, "already broadcasting"); } catch { }
+          return;
+        }
+
+        stationBroadcasterWS.set(sc.flat_id, ws);
+        if (current) {
+          try { current.close(1000, "resumed"); } catch { }
+        }
+
+        if (resuming) {
+          // old peer connections died with the network: offer afresh to every direct listener
+          const listenerIds = [...relayTree(sc.flat_id).values()].filter((n) => n.parentId === null).map((n) => n.id);
+          safeSend(ws, { type: "relay:children", listenerIds });
+          endStationGrace(sc.flat_id, st);
         }
       }
       return;
@@ -515,61 +2054,116 @@ wssSignal.on("connection", (ws, req) => {
     if (msg.type === "listen:join") {
       const targetFlat = normalizeFlatId(msg.targetFlat);
       sc.role = "listener";
-      sc.listeningTo = targetFlat;
 
-      const st = live.stations.get(targetFlat);
-      if (!st) {
-        safeSend(ws, { type: "listen:error", error: "STATION_OFFLINE" });
+      const denied = checkListenAccess(targetFlat, sc.flat_id);
+      if (denied) {
+        safeSend(ws, { type: "listen:error", targetFlat, error: denied });
         return;
       }
 
+      // while the broadcaster reconnects, joins queue in the tree and get offers on resume
       const bws = stationBroadcasterWS.get(targetFlat);
-      if (!bws) {
+      if (!bws && !live.stations.get(targetFlat)?.reconnecting) {
         safeSend(ws, { type: "listen:error", error: "BROADCASTER_SIGNAL_NOT_READY" });
         return;
       }
 
-      safeSend(bws, { type: "listener:join", listenerId: sc.id });
+      leaveSignalStation(sc);
+      sc.listeningTo = targetFlat;
+
+      // parent (broadcaster or a relaying listener) gets listener:join and sends the offer
+      attachRelayNode(targetFlat, {
+        id: sc.id,
+        ws,
+        flat_id: sc.flat_id,
+        parentId: null,
+        children: new Set(),
+        canRelay: msg.relay !== false,
+        readyAt: null
+      });
       safeSend(ws, { type: "listen:ok", targetFlat });
       return;
     }
 
     if (msg.type === "listen:leave") {
-      if (!sc.listeningTo) return;
-      const target = sc.listeningTo;
-      sc.listeningTo = null;
+      leaveSignalStation(sc);
+      return;
+    }
 
-      const bws = stationBroadcasterWS.get(target);
-      if (bws) safeSend(bws, { type: "listener:leave", listenerId: sc.id });
+    // Listener's feed is playing: it may now relay to others (after RELAY_STABLE_MS)
+    if (msg.type === "relay:ready") {
+      const node = sc.listeningTo && relayTrees.get(sc.listeningTo)?.get(sc.id);
+      if (node && !node.readyAt) node.readyAt = Date.now();
       return;
     }
 
     if (msg.type === "webrtc:offer") {
-      const listenerWs = [...signalClients.entries()].find(([w, c]) => c.id === msg.listenerId)?.[0];
-      if (!listenerWs) return;
-      safeSend(listenerWs, { type: "webrtc:offer", from: sc.id, sdp: msg.sdp });
+      const child = relayChildOf(ws, sc, msg.listenerId);
+      if (!child) return;
+      safeSend(child.ws, { type: "webrtc:offer", from: sc.id, sdp: msg.sdp, iceRestart: !!msg.iceRestart });
       return;
     }
 
     if (msg.type === "webrtc:answer") {
-      const bws = stationBroadcasterWS.get(normalizeFlatId(msg.broadcasterFlat));
+      const station = normalizeFlatId(msg.broadcasterFlat);
+      const pws = relayParentWs(station, relayTrees.get(station)?.get(sc.id));
+      if (!pws) return;
+      safeSend(pws, { type: "webrtc:answer", listenerId: sc.id, sdp: msg.sdp });
+      return;
+    }
+
+    // Co-host return audio: a second peer connection, offered by the co-host
+    if (msg.type === "cohost:offer") {
+      const target = normalizeFlatId(msg.broadcasterFlat);
+      const st = live.stations.get(target);
+      if (!st || st.cohost !== sc.flat_id || sc.listeningTo !== target) return;
+
+      const bws = stationBroadcasterWS.get(target);
       if (!bws) return;
-      safeSend(bws, { type: "webrtc:answer", listenerId: sc.id, sdp: msg.sdp });
+      safeSend(bws, { type: "cohost:offer", listenerId: sc.id, flat_id: sc.flat_id, sdp: msg.sdp });
       return;
     }
 
-    if (msg.type === "webrtc:ice") {
+    if (msg.type === "cohost:answer") {
+      const listenerWs = cohostListenerWs(ws, sc, msg.listenerId);
+      if (!listenerWs) return;
+      safeSend(listenerWs, { type: "cohost:answer", sdp: msg.sdp });
+      return;
+    }
+
+    if (msg.type === "cohost:ice") {
       if (sc.role === "broadcaster" && msg.listenerId) {
-        const listenerWs = [...signalClients.entries()].find(([w, c]) => c.id === msg.listenerId)?.[0];
+        const listenerWs = cohostListenerWs(ws, sc, msg.listenerId);
         if (!listenerWs) return;
-        safeSend(listenerWs, { type: "webrtc:ice", from: sc.id, candidate: msg.candidate });
+        safeSend(listenerWs, { type: "cohost:ice", candidate: msg.candidate });
         return;
       }
 
-      if (sc.role === "listener" && msg.broadcasterFlat) {
-        const bws = stationBroadcasterWS.get(normalizeFlatId(msg.broadcasterFlat));
+      if (msg.broadcasterFlat) {
+        const target = normalizeFlatId(msg.broadcasterFlat);
+        if (live.stations.get(target)?.cohost !== sc.flat_id) return;
+        const bws = stationBroadcasterWS.get(target);
         if (!bws) return;
-        safeSend(bws, { type: "webrtc:ice", listenerId: sc.id, candidate: msg.candidate });
+        safeSend(bws, { type: "cohost:ice", listenerId: sc.id, candidate: msg.candidate });
+      }
+      return;
+    }
+
+    if (msg.type === "webrtc:ice") {
+      // parent → child (broadcaster or relaying listener)
+      if (msg.listenerId) {
+        const child = relayChildOf(ws, sc, msg.listenerId);
+        if (!child) return;
+        safeSend(child.ws, { type: "webrtc:ice", from: sc.id, candidate: msg.candidate });
+        return;
+      }
+
+      // child → its parent
+      if (sc.role === "listener" && msg.broadcasterFlat) {
+        const station = normalizeFlatId(msg.broadcasterFlat);
+        const pws = relayParentWs(station, relayTrees.get(station)?.get(sc.id));
+        if (!pws) return;
+        safeSend(pws, { type: "webrtc:ice", listenerId: sc.id, candidate: msg.candidate });
         return;
       }
     }
@@ -584,9 +2178,12 @@ wssSignal.on("connection", (ws, req) => {
     if (c.role === "broadcaster" && c.flat_id) {
       if (stationBroadcasterWS.get(c.flat_id) === ws) {
         stationBroadcasterWS.delete(c.flat_id);
+        const st = live.stations.get(c.flat_id);
+        if (st) beginStationGrace(c.flat_id, st);
       }
     }
 
+    leaveSignalStation(c);
     signalClients.delete(ws);
   });
 });
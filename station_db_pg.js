@@ -0,0 +1,634 @@
+import { normalizeFlatId, writeAudit } from "./user_db_pg.js";
+
+export const REPORT_REASONS = ["ABUSE", "INAPPROPRIATE", "SPAM", "NOISE", "OTHER"];
+export const REPORT_STATUSES = ["OPEN", "UPHELD", "DISMISSED"];
+
+function parseJSON(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Query-string numbers (ids, ms timestamps): NaN for anything a bigint column won't take,
+// so callers can answer INVALID_QUERY instead of handing pg a value it rejects
+function queryNumber(v) {
+  const n = Number(v);
+  return Number.isSafeInteger(n) ? n : NaN;
+}
+
+// Page size: `def` when absent, clamped to 1..max, NaN when given but not an integer
+function queryLimit(v, def, max) {
+  if (v === undefined || v === null || v === "") return def;
+  const n = queryNumber(v);
+  return Number.isNaN(n) ? NaN : Math.min(Math.max(n, 1), max);
+}
+
+function reportRow(r) {
+  return {
+    id: r.id,
+    reporter_flat: r.reporter_flat,
+    station_flat: r.station_flat,
+    reason: r.reason,
+    note: r.note,
+    live: parseJSON(r.live_json),
+    status: r.status,
+    resolution_note: r.resolution_note,
+    resolved_at: r.resolved_at,
+    created_at: r.created_at
+  };
+}
+
+export async function createStationReport(query, { reporter_flat, station_flat, reason, note, live, windowMs }) {
+  const now = Date.now();
+  reporter_flat = normalizeFlatId(reporter_flat);
+  station_flat = normalizeFlatId(station_flat);
+  reason = String(reason || "").trim().toUpperCase();
+  note = String(note || "").trim().slice(0, 500);
+
+  if (!reporter_flat || !station_flat) return { ok: false, error: "MISSING_FIELDS" };
+  if (reporter_flat === station_flat) return { ok: false, error: "CANNOT_REPORT_SELF" };
+  if (!REPORT_REASONS.includes(reason)) return { ok: false, error: "INVALID_REASON" };
+
+  // one report per reporter per station per window; the upsert only goes through once the window passed
+  const claim = await query(
+    `INSERT INTO report_cooldowns (reporter_flat, station_flat, last_reported_at)
+     VALUES ($1,$2,$3)
+     ON CONFLICT (reporter_flat, station_flat) DO UPDATE SET last_reported_at = $3
+     WHERE report_cooldowns.last_reported_at <= $4
+     RETURNING last_reported_at`,
+    [reporter_flat, station_flat, now, now - windowMs]
+  );
+
+  if (!claim.rows[0]) {
+    const last = await query(
+      `SELECT last_reported_at FROM report_cooldowns WHERE reporter_flat = $1 AND station_flat = $2`,
+      [reporter_flat, station_flat]
+    );
+    return {
+      ok: false,
+      error: "ALREADY_REPORTED",
+      retry_after: Math.max(1, Math.ceil((Number(last.rows[0]?.last_reported_at || now) + windowMs - now) / 1000))
+    };
+  }
+
+  const ins = await query(
+    `INSERT INTO station_reports (reporter_flat, station_flat, reason, note, live_json, status, created_at)
+     VALUES ($1,$2,$3,$4,$5,'OPEN',$6)
+     RETURNING id`,
+    [reporter_flat, station_flat, reason, note, live ? JSON.stringify(live) : null, now]
+  );
+
+  return { ok: true, id: ins.rows[0].id };
+}
+
+export async function listStationReports(query, { status, station_flat, before, limit }) {
+  const where = [];
+  const params = [];
+
+  if (status) {
+    status = String(status).toUpperCase();
+    if (!REPORT_STATUSES.includes(status)) return { ok: false, error: "INVALID_STATUS" };
+    params.push(status);
+    where.push(`status = $${params.length}`);
+  }
+
+  if (station_flat) {
+    params.push(normalizeFlatId(station_flat));
+    where.push(`station_flat = $${params.length}`);
+  }
+
+  // keyset paging: pass the last id of the previous page as `before`
+  if (before) {
+    const id = queryNumber(before);
+    if (Number.isNaN(id)) return { ok: false, error: "INVALID_QUERY" };
+    params.push(id);
+    where.push(`id < $${params.length}`);
+  }
+
+  limit = queryLimit(limit, 50, 200);
+  if (Number.isNaN(limit)) return { ok: false, error: "INVALID_QUERY" };
+  params.push(limit);
+
+  const res = await query(
+    `SELECT * FROM station_reports
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const reports = res.rows.map(reportRow);
+  return {
+    ok: true,
+    reports,
+    next_before: reports.length === limit ? reports[reports.length - 1].id : null
+  };
+}
+
+export async function resolveStationReport(query, { id, status, note }) {
+  const now = Date.now();
+  status = String(status || "").toUpperCase();
+  if (!id) return { ok: false, error: "MISSING_FIELDS" };
+  id = queryNumber(id);
+  if (Number.isNaN(id)) return { ok: false, error: "INVALID_QUERY" };
+  if (status !== "UPHELD" && status !== "DISMISSED") return { ok: false, error: "INVALID_STATUS" };
+
+  const upd = await query(
+    `UPDATE station_reports
+     SET status=$1, resolution_note=$2, resolved_at=$3
+     WHERE id=$4 AND status='OPEN'
+     RETURNING *`,
+    [status, String(note || "").trim().slice(0, 500), now, id]
+  );
+
+  const row = upd.rows[0];
+  if (!row) return { ok: false, error: "REPORT_NOT_FOUND_OR_RESOLVED" };
+
+  await writeAudit(query, "REPORT_RESOLVED", {
+    report_id: row.id,
+    station_flat: row.station_flat,
+    reporter_flat: row.reporter_flat,
+    status
+  });
+
+  return { ok: true, report: reportRow(row) };
+}
+
+// ---- Broadcast session history ----
+
+export async function startBroadcastSession(query, { flat_id, started_at }) {
+  const ins = await query(
+    `INSERT INTO broadcast_sessions (flat_id, started_at)
+     VALUES ($1,$2)
+     RETURNING id`,
+    [normalizeFlatId(flat_id), started_at]
+  );
+  return ins.rows[0].id;
+}
+
+export async function endBroadcastSession(query, { id, ended_at, end_reason, peak_listeners, unique_listeners, used_mic, used_sys }) {
+  await query(
+    `UPDATE broadcast_sessions
+     SET ended_at=$1, end_reason=$2, peak_listeners=$3, unique_listeners=$4, used_mic=$5, used_sys=$6
+     WHERE id=$7 AND ended_at IS NULL`,
+    [ended_at, end_reason, peak_listeners, unique_listeners, !!used_mic, !!used_sys, id]
+  );
+}
+
+// Sessions still open at boot were cut off by a restart
+export async function closeOrphanBroadcastSessions(query) {
+  const upd = await query(
+    `UPDATE broadcast_sessions SET ended_at=$1, end_reason='SERVER_RESTART' WHERE ended_at IS NULL`,
+    [Date.now()]
+  );
+  return upd.rowCount;
+}
+
+// from/to select sessions overlapping that window ("who was live at 23:00" → from = to = that time)
+export async function listBroadcastSessions(query, { flat_id, from, to, before, limit }) {
+  const where = [];
+  const params = [];
+
+  if (flat_id) {
+    params.push(normalizeFlatId(flat_id));
+    where.push(`flat_id = $${params.length}`);
+  }
+
+  if (to) {
+    params.push(queryNumber(to));
+    where.push(`started_at <= $${params.length}`);
+  }
+
+  if (from) {
+    params.push(queryNumber(from));
+    where.push(`(ended_at IS NULL OR ended_at >= $${params.length})`);
+  }
+
+  if (before) {
+    params.push(queryNumber(before));
+    where.push(`id < $${params.length}`);
+  }
+
+  limit = queryLimit(limit, 50, 200);
+  if (Number.isNaN(limit) || params.some(Number.isNaN)) return { ok: false, error: "INVALID_QUERY" };
+  params.push(limit);
+
+  const res = await query(
+    `SELECT * FROM broadcast_sessions
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return {
+    ok: true,
+    sessions: res.rows,
+    next_before: res.rows.length === limit ? res.rows[res.rows.length - 1].id : null
+  };
+}
+
+// ---- Station profiles (shown on station cards) ----
+
+export const STATION_CATEGORIES = ["MUSIC", "TALK", "PRAYER", "KIDS", "NEWS", "OTHER"];
+
+function profileRow(r) {
+  return {
+    title: r.title,
+    description: r.description,
+    category: r.category,
+    emoji: r.emoji,
+    color: r.color
+  };
+}
+
+export async function getStationProfile(query, { flat_id }) {
+  const res = await query(`SELECT * FROM station_profiles WHERE flat_id = $1`, [normalizeFlatId(flat_id)]);
+  return res.rows[0] ? profileRow(res.rows[0]) : null;
+}
+
+export async function saveStationProfile(query, { flat_id, title, description, category, emoji, color }) {
+  const now = Date.now();
+  flat_id = normalizeFlatId(flat_id);
+  title = String(title || "").trim();
+  description = String(description || "").trim();
+  category = String(category || "OTHER").trim().toUpperCase();
+  emoji = String(emoji || "").trim();
+  color = String(color || "").trim().toLowerCase();
+
+  if (title.length > 40) return { ok: false, error: "TITLE_TOO_LONG" };
+  if (description.length > 140) return { ok: false, error: "DESCRIPTION_TOO_LONG" };
+  if (!STATION_CATEGORIES.includes(category)) return { ok: false, error: "INVALID_CATEGORY" };
+  // one emoji (may be several code points, e.g. flags / skin tones)
+  if ([...emoji].length > 4 || /[\w<>&"']/.test(emoji)) return { ok: false, error: "INVALID_EMOJI" };
+  if (color && !/^#[0-9a-f]{6}$/.test(color)) return { ok: false, error: "INVALID_COLOR" };
+
+  const res = await query(
+    `INSERT INTO station_profiles (flat_id, title, description, category, emoji, color, updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     ON CONFLICT (flat_id) DO UPDATE
+     SET title=$2, description=$3, category=$4, emoji=$5, color=$6, updated_at=$7
+     RETURNING *`,
+    [flat_id, title, description, category, emoji, color, now]
+  );
+
+  return { ok: true, profile: profileRow(res.rows[0]) };
+}
+
+// ---- Broadcaster mixer settings (processing chain etc.), one JSON blob per flat ----
+
+// key -> { type: "bool" } | { type: "num", min, max } | { type: "enum", values } | { type: "str", max };
+// anything else is dropped
+export const MIXER_FIELDS = {
+  gateOn: { type: "bool" },
+  gateThresholdDb: { type: "num", min: -80, max: 0 },
+  eqOn: { type: "bool" },
+  eqPreset: { type: "enum", values: ["VOICE", "MUSIC", "FLAT", "CUSTOM"] },
+  eqLowDb: { type: "num", min: -12, max: 12 },
+  eqMidDb: { type: "num", min: -12, max: 12 },
+  eqHighDb: { type: "num", min: -12, max: 12 },
+  compOn: { type: "bool" },
+  compThresholdDb: { type: "num", min: -60, max: 0 },
+  compRatio: { type: "num", min: 1, max: 20 },
+  limiterOn: { type: "bool" },
+  duckOn: { type: "bool" },
+  duckAmountDb: { type: "num", min: 0, max: 30 },
+  duckThresholdDb: { type: "num", min: -80, max: 0 },
+  duckAttackMs: { type: "num", min: 5, max: 1000 },
+  duckReleaseMs: { type: "num", min: 50, max: 5000 },
+  // mic capture: device id is per browser, so the label is kept to find the same mic on another device
+  micDeviceId: { type: "str", max: 200 },
+  micDeviceLabel: { type: "str", max: 200 },
+  micEchoCancellation: { type: "bool" },
+  micNoiseSuppression: { type: "bool" },
+  micAutoGainControl: { type: "bool" }
+};
+
+export const MIXER_DEFAULTS = {
+  gateOn: false,
+  gateThresholdDb: -50,
+  eqOn: false,
+  eqPreset: "VOICE",
+  eqLowDb: -3,
+  eqMidDb: 2,
+  eqHighDb: 3,
+  compOn: false,
+  compThresholdDb: -24,
+  compRatio: 4,
+  limiterOn: true,
+  duckOn: false,
+  duckAmountDb: 12,
+  duckThresholdDb: -40,
+  duckAttackMs: 50,
+  duckReleaseMs: 600,
+  micDeviceId: "",
+  micDeviceLabel: "",
+  micEchoCancellation: true,
+  micNoiseSuppression: true,
+  micAutoGainControl: true
+};
+
+function sanitizeMixerSettings(input) {
+  const out = {};
+  if (!input || typeof input !== "object") return out;
+
+  for (const [key, f] of Object.entries(MIXER_FIELDS)) {
+    if (!(key in input)) continue;
+    const v = input[key];
+    if (f.type === "bool") out[key] = !!v;
+    if (f.type === "num" && Number.isFinite(Number(v))) out[key] = Math.min(f.max, Math.max(f.min, Number(v)));
+    if (f.type === "enum" && f.values.includes(v)) out[key] = v;
+    if (f.type === "str" && typeof v === "string") out[key] = v.slice(0, f.max);
+  }
+  return out;
+}
+
+// First known key whose value can't be used (wrong type, non-number, unknown enum), or null
+function invalidMixerField(input) {
+  for (const [key, f] of Object.entries(MIXER_FIELDS)) {
+    if (!(key in input)) continue;
+    const v = input[key];
+    if (f.type === "bool" && typeof v !== "boolean") return key;
+    if (f.type === "num" && (v === null || v === "" || !Number.isFinite(Number(v)))) return key;
+    if (f.type === "enum" && !f.values.includes(v)) return key;
+    if (f.type === "str" && typeof v !== "string") return key;
+  }
+  return null;
+}
+
+export async function getMixerSettings(query, { flat_id }) {
+  const res = await query(`SELECT settings FROM mixer_settings WHERE flat_id = $1`, [normalizeFlatId(flat_id)]);
+  return { ...MIXER_DEFAULTS, ...sanitizeMixerSettings(parseJSON(res.rows[0]?.settings)) };
+}
+
+// Partial update: only the given keys change
+export async function saveMixerSettings(query, { flat_id, settings }) {
+  flat_id = normalizeFlatId(flat_id);
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) return { ok: false, error: "INVALID_SETTINGS" };
+  const field = invalidMixerField(settings);
+  if (field) return { ok: false, error: "INVALID_SETTINGS", field };
+
+  const patch = sanitizeMixerSettings(settings);
+  const merged = { ...(await getMixerSettings(query, { flat_id })), ...patch };
+
+  await query(
+    `INSERT INTO mixer_settings (flat_id, settings, updated_at)
+     VALUES ($1,$2,$3)
+     ON CONFLICT (flat_id) DO UPDATE SET settings=$2, updated_at=$3`,
+    [flat_id, JSON.stringify(merged), Date.now()]
+  );
+  return { ok: true, settings: merged };
+}
+
+// ---- Per-broadcaster block list ----
+
+// Whole table, for the in-memory cache the live handlers check synchronously
+export async function loadAllBlocks(query) {
+  const res = await query(`SELECT owner_flat, blocked_flat FROM station_blocks`);
+  return res.rows;
+}
+
+export async function listBlocks(query, { owner_flat }) {
+  const res = await query(
+    `SELECT blocked_flat, created_at FROM station_blocks WHERE owner_flat = $1 ORDER BY blocked_flat`,
+    [normalizeFlatId(owner_flat)]
+  );
+  return { ok: true, blocks: res.rows };
+}
+
+export async function addBlock(query, { owner_flat, blocked_flat }) {
+  owner_flat = normalizeFlatId(owner_flat);
+  blocked_flat = normalizeFlatId(blocked_flat);
+  if (!blocked_flat) return { ok: false, error: "MISSING_FLAT_ID" };
+  if (blocked_flat === owner_flat) return { ok: false, error: "CANNOT_BLOCK_SELF" };
+
+  const countRes = await query(`SELECT COUNT(*)::int AS n FROM station_blocks WHERE owner_flat = $1`, [owner_flat]);
+  if ((countRes.rows[0]?.n || 0) >= 200) return { ok: false, error: "BLOCK_LIST_FULL" };
+
+  await query(
+    `INSERT INTO station_blocks (owner_flat, blocked_flat, created_at)
+     VALUES ($1,$2,$3)
+     ON CONFLICT (owner_flat, blocked_flat) DO NOTHING`,
+    [owner_flat, blocked_flat, Date.now()]
+  );
+  return { ok: true, blocked_flat };
+}
+
+export async function removeBlock(query, { owner_flat, blocked_flat }) {
+  blocked_flat = normalizeFlatId(blocked_flat);
+  if (!blocked_flat) return { ok: false, error: "MISSING_FLAT_ID" };
+
+  const r = await query(
+    `DELETE FROM station_blocks WHERE owner_flat = $1 AND blocked_flat = $2`,
+    [normalizeFlatId(owner_flat), blocked_flat]
+  );
+  if (!r.rowCount) return { ok: false, error: "NOT_BLOCKED" };
+  return { ok: true, blocked_flat };
+}
+
+// ---- Station chat (kept after deletion so reports can cite it) ----
+
+export async function saveChatMessage(query, { msg_uid, station_flat, flat_id, text, created_at }) {
+  await query(
+    `INSERT INTO chat_messages (msg_uid, station_flat, flat_id, text, created_at)
+     VALUES ($1,$2,$3,$4,$5)`,
+    [msg_uid, station_flat, flat_id, text, created_at]
+  );
+}
+
+export async function markChatDeleted(query, { msg_uid, station_flat }) {
+  await query(
+    `UPDATE chat_messages SET deleted_at=$1 WHERE msg_uid=$2 AND station_flat=$3 AND deleted_at IS NULL`,
+    [Date.now(), msg_uid, station_flat]
+  );
+}
+
+export async function listChatMessages(query, { station_flat, from, to, limit }) {
+  limit = queryLimit(limit, 100, 500);
+  from = from ? queryNumber(from) : 0;
+  to = to ? queryNumber(to) : Date.now();
+  if ([limit, from, to].some(Number.isNaN)) return { ok: false, error: "INVALID_QUERY" };
+
+  const res = await query(
+    `SELECT msg_uid, station_flat, flat_id, text, deleted_at, created_at
+     FROM chat_messages
+     WHERE station_flat = $1 AND created_at >= $2 AND created_at <= $3
+     ORDER BY created_at ASC
+     LIMIT $4`,
+    [normalizeFlatId(station_flat), from, to, limit]
+  );
+  return { ok: true, messages: res.rows };
+}
+
+// ---- Recordings (audio on disk, metadata here; rows soft-deleted with the file) ----
+
+function recordingRow(r) {
+  return {
+    id: r.id,
+    flat_id: r.flat_id,
+    title: r.title,
+    mime: r.mime,
+    bytes: Number(r.bytes),
+    visibility: r.visibility,
+    started_at: Number(r.started_at),
+    ended_at: r.ended_at ? Number(r.ended_at) : null
+  };
+}
+
+export async function createRecording(query, { flat_id, session_id, title, file_name, mime, visibility, started_at }) {
+  const ins = await query(
+    `INSERT INTO recordings (flat_id, session_id, title, file_name, mime, visibility, started_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     RETURNING id`,
+    [normalizeFlatId(flat_id), session_id || null, title || "", file_name, mime, visibility, started_at]
+  );
+  return ins.rows[0].id;
+}
+
+// allowed_flats: who may replay a PRIVATE/APPROVAL show besides the owner
+export async function finishRecording(query, { id, ended_at, bytes, allowed_flats }) {
+  await query(
+    `UPDATE recordings SET ended_at=$1, bytes=$2, allowed_flats=$3
+     WHERE id=$4 AND ended_at IS NULL`,
+    [ended_at, bytes, allowed_flats || [], id]
+  );
+}
+
+// Recordings still open at boot: keep what made it to disk
+export async function closeOrphanRecordings(query) {
+  const upd = await query(`UPDATE recordings SET ended_at=$1 WHERE ended_at IS NULL`, [Date.now()]);
+  return upd.rowCount;
+}
+
+// Finished replays the viewer may hear; exclude_owners = stations that block the viewer
+export async function listRecordings(query, { viewer_flat, exclude_owners, before, limit }) {
+  viewer_flat = normalizeFlatId(viewer_flat);
+  const params = [viewer_flat, exclude_owners || []];
+  const where = [
+    `deleted_at IS NULL`,
+    `ended_at IS NOT NULL`,
+    `(flat_id = $1 OR ((visibility = 'PUBLIC' OR $1 = ANY(allowed_flats)) AND NOT (flat_id = ANY($2))))`
+  ];
+
+  if (before) {
+    const id = queryNumber(before);
+    if (Number.isNaN(id)) return { ok: false, error: "INVALID_QUERY" };
+    params.push(id);
+    where.push(`id < $${params.length}`);
+  }
+
+  limit = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  params.push(limit);
+
+  const res = await query(
+    `SELECT * FROM recordings
+     WHERE ${where.join(" AND ")}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return {
+    ok: true,
+    recordings: res.rows.map(recordingRow),
+    next_before: res.rows.length === limit ? res.rows[res.rows.length - 1].id : null
+  };
+}
+
+// Raw row (with file_name + allowed_flats) for the server's access check
+export async function getRecording(query, { id }) {
+  id = queryNumber(id);
+  if (Number.isNaN(id)) return null;
+  const res = await query(`SELECT * FROM recordings WHERE id=$1 AND deleted_at IS NULL`, [id]);
+  return res.rows[0] || null;
+}
+
+export async function deleteRecording(query, { id, flat_id }) {
+  id = queryNumber(id);
+  if (Number.isNaN(id)) return { ok: false, error: "NOT_FOUND" };
+  const upd = await query(
+    `UPDATE recordings SET deleted_at=$1
+     WHERE id=$2 AND flat_id=$3 AND deleted_at IS NULL AND ended_at IS NOT NULL
+     RETURNING file_name`,
+    [Date.now(), id, normalizeFlatId(flat_id)]
+  );
+  if (!upd.rows[0]) return { ok: false, error: "NOT_FOUND" };
+  return { ok: true, id, file_name: upd.rows[0].file_name };
+}
+
+// Retention: drop finished recordings older than maxAgeMs, and beyond the newest maxPerFlat per flat.
+// Returns the file names so the caller can remove them from disk.
+export async function expireRecordings(query, { maxAgeMs, maxPerFlat }) {
+  const upd = await query(
+    `UPDATE recordings SET deleted_at=$1
+     WHERE id IN (
+       SELECT id FROM (
+         SELECT id, started_at,
+                ROW_NUMBER() OVER (PARTITION BY flat_id ORDER BY started_at DESC) AS rn
+         FROM recordings
+         WHERE deleted_at IS NULL AND ended_at IS NOT NULL
+       ) r
+       WHERE r.started_at < $2 OR r.rn > $3
+     )
+     RETURNING file_name`,
+    [Date.now(), Date.now() - maxAgeMs, maxPerFlat]
+  );
+  return upd.rows.map((r) => r.file_name);
+}
+
+// ---- Soundboard clips (one per pad; audio on disk, replaced in place) ----
+
+function clipRow(r) {
+  return {
+    id: r.id,
+    pad: r.pad,
+    name: r.name,
+    mime: r.mime,
+    bytes: r.bytes,
+    duration_ms: r.duration_ms,
+    created_at: Number(r.created_at)
+  };
+}
+
+export async function listSoundboardClips(query, { flat_id }) {
+  const res = await query(`SELECT * FROM soundboard_clips WHERE flat_id=$1 ORDER BY pad`, [normalizeFlatId(flat_id)]);
+  return { ok: true, clips: res.rows.map(clipRow) };
+}
+
+// Raw row (with file_name) for serving the audio
+export async function getSoundboardClip(query, { id, flat_id }) {
+  id = queryNumber(id);
+  if (Number.isNaN(id)) return null;
+  const res = await query(
+    `SELECT * FROM soundboard_clips WHERE id=$1 AND flat_id=$2`,
+    [id, normalizeFlatId(flat_id)]
+  );
+  return res.rows[0] || null;
+}
+
+// Replaces whatever was on the pad; returns the old file name so the caller can remove it
+export async function saveSoundboardClip(query, { flat_id, pad, name, file_name, mime, bytes, duration_ms }) {
+  const res = await query(
+    `WITH old AS (SELECT file_name FROM soundboard_clips WHERE flat_id=$1 AND pad=$2)
+     INSERT INTO soundboard_clips (flat_id, pad, name, file_name, mime, bytes, duration_ms, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+     ON CONFLICT (flat_id, pad) DO UPDATE SET
+       name=EXCLUDED.name, file_name=EXCLUDED.file_name, mime=EXCLUDED.mime, bytes=EXCLUDED.bytes,
+       duration_ms=EXCLUDED.duration_ms, created_at=EXCLUDED.created_at
+     RETURNING *, (SELECT file_name FROM old) AS old_file`,
+    [normalizeFlatId(flat_id), pad, String(name || "").trim().slice(0, 40), file_name, mime, bytes, duration_ms, Date.now()]
+  );
+  return { ok: true, clip: clipRow(res.rows[0]), old_file: res.rows[0].old_file || null };
+}
+
+export async function deleteSoundboardClip(query, { flat_id, pad }) {
+  const del = await query(
+    `DELETE FROM soundboard_clips WHERE flat_id=$1 AND pad=$2 RETURNING file_name`,
+    [normalizeFlatId(flat_id), pad]
+  );
+  if (!del.rows[0]) return { ok: false, error: "NOT_FOUND" };
+  return { ok: true, pad, file_name: del.rows[0].file_name };
+}
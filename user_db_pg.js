@@ -1,4 +1,6 @@
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import { transaction } from "./db_pg.js";
 
 export function normalizeFlatId(x) {
   return String(x || "").trim().toUpperCase();
@@ -32,6 +34,19 @@ export async function createAccessRequest(query, { flat_id, name }) {
   return { ok: true, id: ins.rows[0].id, status: "PENDING", reused: false };
 }
 
+async function findValidCode(query, { flat_id, purpose, now }) {
+  const rowsRes = await query(
+    `SELECT id, code_hash, expires_at, used_at
+     FROM setup_codes
+     WHERE flat_id = $1 AND purpose = $2
+     ORDER BY created_at DESC
+     LIMIT 5`,
+    [flat_id, purpose]
+  );
+
+  return rowsRes.rows.find((r) => !r.used_at && Number(r.expires_at) > now) || null;
+}
+
 export async function setupPinWithCode(query, { flat_id, code, pin4, password }) {
   const now = Date.now();
   flat_id = normalizeFlatId(flat_id);
@@ -44,16 +59,10 @@ export async function setupPinWithCode(query, { flat_id, code, pin4, password })
   if (!flat) return { ok: false, error: "FLAT_NOT_FOUND" };
   if (flat.status !== "ACTIVE") return { ok: false, error: "FLAT_DISABLED" };
 
-  const rowsRes = await query(
-    `SELECT id, code_hash, expires_at, used_at
-     FROM setup_codes
-     WHERE flat_id = $1
-     ORDER BY created_at DESC
-     LIMIT 5`,
-    [flat_id]
-  );
+  // existing credentials go through the recovery flow (resetPinWithCode)
+  if (flat.pin_hash) return { ok: false, error: "PIN_ALREADY_SET_USE_RESET" };
 
-  const valid = rowsRes.rows.find((r) => !r.used_at && Number(r.expires_at) > now);
+  const valid = await findValidCode(query, { flat_id, purpose: "SETUP", now });
   if (!valid) return { ok: false, error: "NO_VALID_CODE" };
 
   const ok = await bcrypt.compare(String(code).trim(), valid.code_hash);
@@ -81,6 +90,18 @@ export async function setupPinWithCode(query, { flat_id, code, pin4, password })
   return { ok: true };
 }
 
+async function verifyCredentials(flat, { pin4, password }) {
+  const pinOK = await bcrypt.compare(String(pin4), flat.pin_hash);
+  if (!pinOK) return { ok: false, error: "INVALID_CREDENTIALS" };
+
+  if (flat.password_hash) {
+    if (!password) return { ok: false, error: "PASSWORD_REQUIRED" };
+    const passOK = await bcrypt.compare(String(password), flat.password_hash);
+    if (!passOK) return { ok: false, error: "INVALID_CREDENTIALS" };
+  }
+  return { ok: true };
+}
+
 export async function loginFlat(query, { flat_id, pin4, password }) {
   const now = Date.now();
   flat_id = normalizeFlatId(flat_id);
@@ -95,19 +116,195 @@ export async function loginFlat(query, { flat_id, pin4, password }) {
   if (!flat.pin_hash) return { ok: false, error: "PIN_NOT_SET" };
   if (!/^\d{4}$/.test(String(pin4))) return { ok: false, error: "INVALID_PIN" };
 
-  const pinOK = await bcrypt.compare(String(pin4), flat.pin_hash);
-  if (!pinOK) return { ok: false, error: "INVALID_CREDENTIALS" };
-
-  if (flat.password_hash) {
-    if (!password) return { ok: false, error: "PASSWORD_REQUIRED" };
-    const passOK = await bcrypt.compare(String(password), flat.password_hash);
-    if (!passOK) return { ok: false, error: "INVALID_CREDENTIALS" };
-  }
+  const cred = await verifyCredentials(flat, { pin4, password });
+  if (!cred.ok) return cred;
 
   await query(`UPDATE flats SET last_login_at=$1, updated_at=$1 WHERE flat_id=$2`, [now, flat_id]);
   return { ok: true, flat_id };
 }
 
+export async function getFlatAccess(query, { flat_id }) {
+  const now = Date.now();
+  flat_id = normalizeFlatId(flat_id);
+  if (!flat_id) return { ok: false, error: "MISSING_FLAT_ID" };
+
+  const flatRes = await query(
+    `SELECT status, ban_until, requires_admin_revoke FROM flats WHERE flat_id = $1`,
+    [flat_id]
+  );
+  const flat = flatRes.rows[0];
+  if (!flat) return { ok: false, error: "FLAT_NOT_FOUND" };
+  if (flat.status !== "ACTIVE") return { ok: false, error: "FLAT_DISABLED" };
+  if (flat.ban_until && Number(flat.ban_until) > now) return { ok: false, error: "BANNED", ban_until: flat.ban_until };
+  if (flat.requires_admin_revoke) return { ok: false, error: "ADMIN_REVOKE_REQUIRED" };
+
+  return { ok: true, flat_id };
+}
+
+// ---- Forgotten-PIN recovery ----
+
+export async function createResetRequest(query, { flat_id, name }) {
+  const now = Date.now();
+  flat_id = normalizeFlatId(flat_id);
+  name = String(name || "").trim();
+  if (!flat_id || !name) return { ok: false, error: "MISSING_FIELDS" };
+
+  const flatRes = await query(`SELECT status, pin_hash FROM flats WHERE flat_id = $1`, [flat_id]);
+  const flat = flatRes.rows[0];
+  if (!flat) return { ok: false, error: "FLAT_NOT_FOUND" };
+  if (flat.status !== "ACTIVE") return { ok: false, error: "FLAT_DISABLED" };
+  if (!flat.pin_hash) return { ok: false, error: "PIN_NOT_SET_USE_SETUP" };
+
+  const existing = await query(
+    `SELECT id, status FROM pin_reset_requests
+     WHERE flat_id = $1 AND status IN ('PENDING','ISSUED')
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [flat_id]
+  );
+
+  if (existing.rows[0]) {
+    return { ok: true, id: existing.rows[0].id, status: existing.rows[0].status, reused: true };
+  }
+
+  const ins = await query(
+    `INSERT INTO pin_reset_requests (flat_id, name, status, created_at, updated_at)
+     VALUES ($1,$2,'PENDING',$3,$3)
+     RETURNING id`,
+    [flat_id, name, now]
+  );
+
+  return { ok: true, id: ins.rows[0].id, status: "PENDING", reused: false };
+}
+
+export async function listResetRequests(query, { status }) {
+  const res = await query(
+    `SELECT id, flat_id, name, status, created_at, updated_at
+     FROM pin_reset_requests
+     WHERE status = $1
+     ORDER BY created_at ASC
+     LIMIT 200`,
+    [String(status || "PENDING").toUpperCase()]
+  );
+  return { ok: true, requests: res.rows };
+}
+
+// Unambiguous alphabet (no 0/O, 1/I) → "ABCD-2345"
+function makeResetCode() {
+  const letters = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+  const digits = "23456789";
+  let a = "";
+  let b = "";
+  for (let i = 0; i < 4; i++) a += letters[crypto.randomInt(letters.length)];
+  for (let i = 0; i < 4; i++) b += digits[crypto.randomInt(digits.length)];
+  return `${a}-${b}`;
+}
+
+// Returns the plain code once; only its hash is stored
+export async function issueResetCode(query, { id, ttlMs }) {
+  const now = Date.now();
+  id = Number(id);
+  if (!Number.isSafeInteger(id)) return { ok: false, error: "REQUEST_NOT_FOUND" };
+
+  const reqRes = await query(`SELECT id, flat_id, status FROM pin_reset_requests WHERE id = $1`, [id]);
+  const req = reqRes.rows[0];
+  if (!req) return { ok: false, error: "REQUEST_NOT_FOUND" };
+  if (req.status !== "PENDING" && req.status !== "ISSUED") return { ok: false, error: "REQUEST_CLOSED" };
+
+  const code = makeResetCode();
+  const code_hash = await bcrypt.hash(code, 10);
+  const expires_at = now + ttlMs;
+
+  // a re-issue replaces any unused reset code
+  await query(
+    `UPDATE setup_codes SET used_at=$1 WHERE flat_id=$2 AND purpose='RESET' AND used_at IS NULL`,
+    [now, req.flat_id]
+  );
+  await query(
+    `INSERT INTO setup_codes (flat_id, code_hash, expires_at, created_at, purpose)
+     VALUES ($1,$2,$3,$4,'RESET')`,
+    [req.flat_id, code_hash, expires_at, now]
+  );
+  await query(`UPDATE pin_reset_requests SET status='ISSUED', updated_at=$1 WHERE id=$2`, [now, req.id]);
+  await writeAudit(query, "RESET_CODE_ISSUED", { flat_id: req.flat_id, request_id: req.id, expires_at });
+
+  return { ok: true, flat_id: req.flat_id, code, expires_at };
+}
+
+export async function rejectResetRequest(query, { id }) {
+  const now = Date.now();
+  id = Number(id);
+  if (!Number.isSafeInteger(id)) return { ok: false, error: "REQUEST_NOT_FOUND_OR_CLOSED" };
+
+  const upd = await query(
+    `UPDATE pin_reset_requests SET status='REJECTED', updated_at=$1
+     WHERE id=$2 AND status IN ('PENDING','ISSUED')
+     RETURNING flat_id`,
+    [now, id]
+  );
+  if (!upd.rows[0]) return { ok: false, error: "REQUEST_NOT_FOUND_OR_CLOSED" };
+
+  await query(
+    `UPDATE setup_codes SET used_at=$1 WHERE flat_id=$2 AND purpose='RESET' AND used_at IS NULL`,
+    [now, upd.rows[0].flat_id]
+  );
+  await writeAudit(query, "RESET_REQUEST_REJECTED", { flat_id: upd.rows[0].flat_id, request_id: id });
+  return { ok: true };
+}
+
+// Rotates credentials and signs the flat out everywhere
+export async function resetPinWithCode(query, { flat_id, code, pin4, password }) {
+  const now = Date.now();
+  flat_id = normalizeFlatId(flat_id);
+
+  if (!flat_id || !code || !pin4) return { ok: false, error: "MISSING_FIELDS" };
+  if (!/^\d{4}$/.test(String(pin4))) return { ok: false, error: "PIN_MUST_BE_4_DIGITS" };
+
+  const flatRes = await query(`SELECT status FROM flats WHERE flat_id = $1`, [flat_id]);
+  const flat = flatRes.rows[0];
+  if (!flat) return { ok: false, error: "FLAT_NOT_FOUND" };
+  if (flat.status !== "ACTIVE") return { ok: false, error: "FLAT_DISABLED" };
+
+  const valid = await findValidCode(query, { flat_id, purpose: "RESET", now });
+  if (!valid) return { ok: false, error: "NO_VALID_CODE" };
+
+  const ok = await bcrypt.compare(String(code).trim(), valid.code_hash);
+  if (!ok) return { ok: false, error: "INVALID_CODE" };
+
+  const pin_hash = await bcrypt.hash(String(pin4), 10);
+  const password_hash = password ? await bcrypt.hash(String(password), 10) : null;
+
+  // One client for the whole transaction; the code is claimed atomically so two
+  // concurrent requests can't both redeem it
+  const claimed = await transaction(async (tx) => {
+    const claimRes = await tx(
+      `UPDATE setup_codes SET used_at=$1
+       WHERE id=$2 AND used_at IS NULL AND expires_at > $1
+       RETURNING id`,
+      [now, valid.id]
+    );
+    if (!claimRes.rowCount) return false;
+
+    await tx(
+      `UPDATE flats
+       SET pin_hash=$1, password_hash=$2, updated_at=$3
+       WHERE flat_id=$4`,
+      [pin_hash, password_hash, now, flat_id]
+    );
+    await tx(
+      `UPDATE pin_reset_requests SET status='USED', updated_at=$1 WHERE flat_id=$2 AND status='ISSUED'`,
+      [now, flat_id]
+    );
+    return true;
+  });
+  if (!claimed) return { ok: false, error: "NO_VALID_CODE" };
+
+  const out = await destroyFlatSessions(query, { flat_id, keep_sid: "" });
+  await writeAudit(query, "PIN_RESET", { flat_id, sessions_removed: out.removed });
+
+  return { ok: true };
+}
+
 export async function getSetupStatus(query, { flat_id }) {
   const now = Date.now();
   flat_id = normalizeFlatId(flat_id);
@@ -129,13 +326,28 @@ export async function getSetupStatus(query, { flat_id }) {
     [flat_id]
   );
 
+  const resetRes = await query(
+    `SELECT status, created_at, updated_at
+     FROM pin_reset_requests
+     WHERE flat_id = $1
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [flat_id]
+  );
+
   const req = reqRes.rows[0] || null;
   const flat = flatRes.rows[0] || null;
+  const reset = resetRes.rows[0] || null;
+
+  // SETUP: first-time credentials via setup code; RESET: flat already has a PIN
+  const flow = flat && flat.pin_hash ? "RESET" : "SETUP";
 
   return {
     ok: true,
     flat_id,
+    flow,
     request: req ? { status: req.status, created_at: req.created_at, updated_at: req.updated_at } : null,
+    reset: reset ? { status: reset.status, created_at: reset.created_at, updated_at: reset.updated_at } : null,
     flat: flat
       ? {
           status: flat.status,
@@ -146,3 +358,219 @@ export async function getSetupStatus(query, { flat_id }) {
       : null
   };
 }
+
+export async function writeAudit(query, action, meta = {}) {
+  await query(
+    `INSERT INTO admin_audit (action, meta_json, created_at) VALUES ($1,$2,$3)`,
+    [action, JSON.stringify(meta), Date.now()]
+  );
+}
+
+// Escalation ladder: strike N uses banStepsMs[N-1] (last step repeats);
+// reaching revokeLimit locks the flat until an admin revokes it.
+export async function addStrike(query, { flat_id, source, meta, banStepsMs, revokeLimit }) {
+  const now = Date.now();
+  flat_id = normalizeFlatId(flat_id);
+  if (!flat_id) return { ok: false, error: "MISSING_FLAT_ID" };
+
+  const upd = await query(
+    `UPDATE flats
+     SET strike_count = strike_count + 1, updated_at = $1
+     WHERE flat_id = $2
+     RETURNING strike_count, ban_until, requires_admin_revoke`,
+    [now, flat_id]
+  );
+  const flat = upd.rows[0];
+  if (!flat) return { ok: false, error: "FLAT_NOT_FOUND" };
+
+  const strike_count = Number(flat.strike_count);
+  await writeAudit(query, "STRIKE_ADDED", { flat_id, strike_count, source, ...(meta || {}) });
+
+  if (revokeLimit > 0 && strike_count >= revokeLimit) {
+    if (!flat.requires_admin_revoke) {
+      await query(
+        `UPDATE flats SET requires_admin_revoke = TRUE, updated_at = $1 WHERE flat_id = $2`,
+        [now, flat_id]
+      );
+      await writeAudit(query, "FLAT_REVOKE_REQUIRED", { flat_id, strike_count, source });
+    }
+    return { ok: true, flat_id, strike_count, ban_until: flat.ban_until, requires_admin_revoke: true, banned: true };
+  }
+
+  const step = banStepsMs[Math.min(strike_count, banStepsMs.length) - 1] || 0;
+  if (!step) {
+    return { ok: true, flat_id, strike_count, ban_until: flat.ban_until, requires_admin_revoke: false, banned: false };
+  }
+
+  // never shorten a ban that is already running
+  const ban_until = Math.max(Number(flat.ban_until || 0), now + step);
+  await query(`UPDATE flats SET ban_until = $1, updated_at = $2 WHERE flat_id = $3`, [ban_until, now, flat_id]);
+  await writeAudit(query, "FLAT_BANNED", { flat_id, strike_count, ban_until, duration_ms: step, source });
+
+  return { ok: true, flat_id, strike_count, ban_until, requires_admin_revoke: false, banned: true };
+}
+
+// ---- Brute-force throttle (login / setup) ----
+// Each key (e.g. "login:flat:A-705", "login:ip:1.2.3.4") counts failures.
+// After `freeFails` the key waits baseDelayMs * 2^n between tries, and at
+// `maxFails` it is locked for lockMs. Counts reset after windowMs of quiet.
+
+// Milliseconds each key must wait after its nth counted attempt, n = 1..maxFails
+function authWaits(lim) {
+  const waits = [];
+  for (let n = 1; n <= lim.maxFails; n++) {
+    let wait = 0;
+    if (n >= lim.maxFails) wait = lim.lockMs;
+    else if (n > lim.freeFails) wait = Math.min(lim.baseDelayMs * 2 ** (n - lim.freeFails - 1), lim.lockMs);
+    waits.push(wait);
+  }
+  return waits;
+}
+
+// Counts the attempt *before* the credentials are checked, so parallel guesses can't all slip
+// past the lock while bcrypt runs. One upsert per key: it only goes through when the key isn't
+// locked, and sets the lock the next attempt will see. Returns the reservations to refund
+// (attempt wasn't a wrong guess) or TOO_MANY_ATTEMPTS with retry_after (seconds).
+export async function reserveAuthAttempt(query, { keys, limits }) {
+  const now = Date.now();
+  const reserved = [];
+
+  for (const key of keys) {
+    const lim = limits[key.split(":")[1]] || limits.flat;
+    const waits = authWaits(lim);
+    const count = `(CASE WHEN auth_attempts.last_failed_at < $3 THEN 1 ELSE auth_attempts.fail_count + 1 END)`;
+
+    const res = await query(
+      `INSERT INTO auth_attempts (attempt_key, fail_count, locked_until, last_failed_at)
+       VALUES ($1, 1, NULLIF($2 + ($4::bigint[])[1], $2), $2)
+       ON CONFLICT (attempt_key) DO UPDATE
+       SET fail_count = ${count},
+           locked_until = NULLIF($2 + ($4::bigint[])[LEAST(${count}, $5)], $2),
+           last_failed_at = $2
+       WHERE auth_attempts.locked_until IS NULL OR auth_attempts.locked_until <= $2
+       RETURNING locked_until`,
+      [key, now, now - lim.windowMs, waits, waits.length]
+    );
+
+    if (!res.rows[0]) {
+      await refundAuthAttempt(query, { reserved });
+      const lock = await query(`SELECT locked_until FROM auth_attempts WHERE attempt_key = $1`, [key]);
+      const until = Number(lock.rows[0]?.locked_until || now);
+      return { ok: false, error: "TOO_MANY_ATTEMPTS", retry_after: Math.max(1, Math.ceil((until - now) / 1000)) };
+    }
+
+    const locked_until = res.rows[0].locked_until === null ? null : Number(res.rows[0].locked_until);
+    reserved.push({ key, locked_until });
+  }
+
+  return { ok: true, reserved };
+}
+
+// The longest wait a failed attempt left behind (for retry_after on the failure itself)
+export function reservedRetryAfter(reserved) {
+  const now = Date.now();
+  const until = Math.max(0, ...reserved.map((r) => r.locked_until || 0));
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+// Gives a reserved attempt back; the lock it set is lifted unless a later attempt replaced it
+export async function refundAuthAttempt(query, { reserved }) {
+  for (const r of reserved) {
+    await query(
+      `UPDATE auth_attempts
+       SET fail_count = GREATEST(fail_count - 1, 0),
+           locked_until = CASE WHEN locked_until = $2 THEN NULL ELSE locked_until END
+       WHERE attempt_key = $1`,
+      [r.key, r.locked_until]
+    );
+  }
+}
+
+export async function clearAuthFailures(query, { keys }) {
+  await query(`DELETE FROM auth_attempts WHERE attempt_key = ANY($1)`, [keys]);
+}
+
+// ---- Self-service account (logged-in resident) ----
+
+async function loadFlatForChange(query, { flat_id, current_pin4, current_password }) {
+  const flatRes = await query(`SELECT * FROM flats WHERE flat_id = $1`, [flat_id]);
+  const flat = flatRes.rows[0];
+  if (!flat) return { ok: false, error: "FLAT_NOT_FOUND" };
+  if (flat.status !== "ACTIVE") return { ok: false, error: "FLAT_DISABLED" };
+  if (!flat.pin_hash) return { ok: false, error: "PIN_NOT_SET" };
+  if (!/^\d{4}$/.test(String(current_pin4))) return { ok: false, error: "INVALID_PIN" };
+
+  const cred = await verifyCredentials(flat, { pin4: current_pin4, password: current_password });
+  if (!cred.ok) return cred;
+  return { ok: true, flat };
+}
+
+export async function getAccountInfo(query, { flat_id }) {
+  flat_id = normalizeFlatId(flat_id);
+  const flatRes = await query(
+    `SELECT password_hash, strike_count, last_login_at FROM flats WHERE flat_id = $1`,
+    [flat_id]
+  );
+  const flat = flatRes.rows[0];
+  if (!flat) return { ok: false, error: "FLAT_NOT_FOUND" };
+
+  const sessRes = await query(
+    `SELECT COUNT(*)::int AS n FROM user_sessions
+     WHERE sess->'user'->>'flat_id' = $1 AND expire > NOW()`,
+    [flat_id]
+  );
+
+  return {
+    ok: true,
+    flat_id,
+    hasPassword: !!flat.password_hash,
+    strikeCount: Number(flat.strike_count || 0),
+    lastLoginAt: flat.last_login_at,
+    sessions: sessRes.rows[0]?.n || 0
+  };
+}
+
+export async function changePin(query, { flat_id, current_pin4, current_password, new_pin4 }) {
+  const now = Date.now();
+  flat_id = normalizeFlatId(flat_id);
+  if (!current_pin4 || !new_pin4) return { ok: false, error: "MISSING_FIELDS" };
+  if (!/^\d{4}$/.test(String(new_pin4))) return { ok: false, error: "PIN_MUST_BE_4_DIGITS" };
+
+  const chk = await loadFlatForChange(query, { flat_id, current_pin4, current_password });
+  if (!chk.ok) return chk;
+
+  const pin_hash = await bcrypt.hash(String(new_pin4), 10);
+  await query(`UPDATE flats SET pin_hash=$1, updated_at=$2 WHERE flat_id=$3`, [pin_hash, now, flat_id]);
+  await writeAudit(query, "PIN_CHANGED", { flat_id, by: "SELF" });
+
+  return { ok: true };
+}
+
+// Empty new_password removes the password (PIN-only login)
+export async function changePassword(query, { flat_id, current_pin4, current_password, new_password }) {
+  const now = Date.now();
+  flat_id = normalizeFlatId(flat_id);
+  if (!current_pin4) return { ok: false, error: "MISSING_FIELDS" };
+
+  const chk = await loadFlatForChange(query, { flat_id, current_pin4, current_password });
+  if (!chk.ok) return chk;
+
+  new_password = String(new_password || "");
+  const password_hash = new_password ? await bcrypt.hash(new_password, 10) : null;
+
+  await query(`UPDATE flats SET password_hash=$1, updated_at=$2 WHERE flat_id=$3`, [password_hash, now, flat_id]);
+  await writeAudit(query, new_password ? "PASSWORD_CHANGED" : "PASSWORD_REMOVED", { flat_id, by: "SELF" });
+
+  return { ok: true, hasPassword: !!password_hash };
+}
+
+// Deletes the flat's stored sessions (connect-pg-simple rows) except `keep_sid`
+export async function destroyFlatSessions(query, { flat_id, keep_sid }) {
+  flat_id = normalizeFlatId(flat_id);
+  const del = await query(
+    `DELETE FROM user_sessions
+     WHERE sess->'user'->>'flat_id' = $1 AND sid <> $2`,
+    [flat_id, String(keep_sid || "")]
+  );
+  return { ok: true, removed: del.rowCount };
+}